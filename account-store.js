@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('./config');
+const personaRegistry = require('./persona-registry');
+const logger = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Account Store - Local accounts with per-user settings (voice, persona, language)
+ * Append-only JSON lines file, replayed and compacted on startup
+ *
+ * Lines: { op: 'account', id, email, passwordHash, settings, createdAt }
+ *        { op: 'settings', id, settings, updatedAt }
+ *
+ * Passwords are stored as scrypt hashes ("scrypt$salt$hash"); accounts made from a
+ * magic link have passwordHash null. Auth tokens are signed, not stored:
+ * base64url({ sub, exp }) + "." + HMAC-SHA256 signature
+ */
+
+// Settings an account can carry, with the check each value must pass
+const SETTINGS = {
+    voiceGender: (value) => value === 'female' || value === 'male',
+    language: (value) => value === 'auto' || Object.prototype.hasOwnProperty.call(config.languages.supported, value),
+    persona: (value) => typeof value === 'string' && personaRegistry.has(value),
+};
+
+const KEY_LENGTH = 64;
+
+// Owner-only: the file holds emails and password hashes
+const FILE_MODE = 0o600;
+
+class AccountStore {
+    constructor() {
+        this.accounts = new Map();
+        this.emailIndex = new Map();
+        this.magicLinks = new Map(); // token hash -> { email, expiresAt }
+        this.secret = null;
+        this.stream = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Replay the store file, rewrite it compactly and set up token signing
+     */
+    load() {
+        const storePath = config.auth.storePath;
+
+        if (fs.existsSync(storePath)) {
+            const lines = fs.readFileSync(storePath, 'utf8').split('\n');
+            let skipped = 0;
+
+            lines.forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    this._apply(JSON.parse(line));
+                } catch (error) {
+                    skipped++;
+                }
+            });
+
+            if (skipped > 0) {
+                logger.warn('Skipped unreadable account store lines', { skipped });
+            }
+        }
+
+        this._compact();
+
+        fs.mkdirSync(path.dirname(storePath), { recursive: true });
+        this.stream = fs.createWriteStream(storePath, { flags: 'a', mode: FILE_MODE });
+        this.stream.on('error', (error) => {
+            logger.error('Account store write error', { error });
+        });
+
+        this.secret = config.auth.secret;
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            logger.warn('AUTH_SECRET is not set; sign-ins will not survive a restart');
+        }
+
+        this.loaded = true;
+        logger.info('Account store loaded', { accounts: this.accounts.size });
+    }
+
+    /**
+     * Create an account with a password
+     * Returns the account, or null when the email is already registered
+     */
+    async signup(email, password) {
+        const key = this._normalizeEmail(email);
+        if (this.emailIndex.has(key)) return null;
+
+        const passwordHash = await this._hashPassword(password);
+
+        // Another signup for the same email may have finished while hashing
+        if (this.emailIndex.has(key)) return null;
+        return this._create(key, passwordHash);
+    }
+
+    /**
+     * The account for an email and password, or null
+     * Unknown emails still cost one hash so timing doesn't reveal who has an account
+     */
+    async login(email, password) {
+        const account = this.findByEmail(email);
+        const matches = await this._verifyPassword(password, account && account.passwordHash);
+        return matches ? account : null;
+    }
+
+    /**
+     * One-time sign-in token for an email, valid for magicLinkTtl
+     * The account is created when the link is redeemed, so unused links leave nothing behind
+     */
+    createMagicLink(email) {
+        this._pruneMagicLinks();
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        this.magicLinks.set(this._hashToken(token), {
+            email: this._normalizeEmail(email),
+            expiresAt: Date.now() + config.auth.magicLinkTtl,
+        });
+        return token;
+    }
+
+    /**
+     * Use up a magic link token; returns its account (created on first sign-in) or null
+     */
+    redeemMagicLink(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const tokenHash = this._hashToken(token);
+        const link = this.magicLinks.get(tokenHash);
+        this.magicLinks.delete(tokenHash);
+        if (!link || link.expiresAt < Date.now()) return null;
+
+        return this.emailIndex.get(link.email) || this._create(link.email, null);
+    }
+
+    /**
+     * Look up an account by email (case-insensitive)
+     */
+    findByEmail(email) {
+        return this.emailIndex.get(this._normalizeEmail(email)) || null;
+    }
+
+    /**
+     * Look up an account by id
+     */
+    get(id) {
+        return this.accounts.get(id) || null;
+    }
+
+    /**
+     * Signed auth token for an account, valid for tokenTtl
+     */
+    issueToken(account) {
+        const payload = Buffer.from(JSON.stringify({
+            sub: account.id,
+            exp: Date.now() + config.auth.tokenTtl,
+        })).toString('base64url');
+        return `${payload}.${this._sign(payload)}`;
+    }
+
+    /**
+     * The account an auth token was issued to, or null when it is forged, expired
+     * or the account no longer exists
+     */
+    verifyToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this._sign(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+        try {
+            const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (typeof exp !== 'number' || exp < Date.now()) return null;
+            return this.get(sub);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save preferences to the account; unknown keys and unsupported values are ignored
+     */
+    updateSettings(account, settings) {
+        const changed = {};
+        Object.keys(settings).forEach(key => {
+            if (SETTINGS[key] && SETTINGS[key](settings[key]) && account.settings[key] !== settings[key]) {
+                changed[key] = settings[key];
+            }
+        });
+        if (Object.keys(changed).length === 0) return;
+
+        Object.assign(account.settings, changed);
+        this._write({ op: 'settings', id: account.id, settings: changed, updatedAt: Date.now() });
+    }
+
+    /**
+     * What the client sees of an account
+     */
+    describe(account) {
+        return { id: account.id, email: account.email, settings: { ...account.settings } };
+    }
+
+    /**
+     * Flush pending writes (on shutdown)
+     */
+    close(callback) {
+        if (this.stream) {
+            this.stream.end(callback);
+            this.stream = null;
+        } else if (callback) {
+            callback();
+        }
+    }
+
+    _create(email, passwordHash) {
+        const account = {
+            id: crypto.randomUUID(),
+            email,
+            passwordHash,
+            settings: {},
+            createdAt: Date.now(),
+        };
+
+        this.accounts.set(account.id, account);
+        this.emailIndex.set(email, account);
+        this._write(this._accountLine(account));
+        logger.info('Account created', { accountId: account.id, method: passwordHash ? 'password' : 'magic_link' });
+        return account;
+    }
+
+    /**
+     * Apply one store line to the in-memory state
+     */
+    _apply(entry) {
+        if (entry.op === 'account') {
+            const account = {
+                id: entry.id,
+                email: entry.email,
+                passwordHash: entry.passwordHash || null,
+                settings: entry.settings || {},
+                createdAt: entry.createdAt,
+            };
+            this.accounts.set(account.id, account);
+            this.emailIndex.set(account.email, account);
+            return;
+        }
+
+        const account = this.accounts.get(entry.id);
+        if (!account) return;
+
+        if (entry.op === 'settings') {
+            Object.assign(account.settings, entry.settings);
+        }
+    }
+
+    /**
+     * Rewrite the file with one line per account
+     */
+    _compact() {
+        const storePath = config.auth.storePath;
+        const lines = [];
+
+        this.accounts.forEach(account => {
+            lines.push(JSON.stringify(this._accountLine(account)));
+        });
+
+        try {
+            fs.mkdirSync(path.dirname(storePath), { recursive: true });
+            const tmpPath = `${storePath}.tmp`;
+            fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', { mode: FILE_MODE });
+            fs.chmodSync(tmpPath, FILE_MODE);
+            fs.renameSync(tmpPath, storePath);
+        } catch (error) {
+            logger.error('Error compacting account store', { error });
+        }
+    }
+
+    _accountLine(account) {
+        return {
+            op: 'account',
+            id: account.id,
+            email: account.email,
+            passwordHash: account.passwordHash,
+            settings: account.settings,
+            createdAt: account.createdAt,
+        };
+    }
+
+    _write(entry) {
+        if (this.stream) {
+            this.stream.write(JSON.stringify(entry) + '\n');
+        }
+    }
+
+    async _hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    /**
+     * Compare a password with a stored hash; a missing hash is checked against a
+     * throwaway salt and never matches
+     */
+    async _verifyPassword(password, passwordHash) {
+        const [scheme, salt, expected] = (passwordHash || '').split('$');
+        const hash = await scrypt(password, salt ? Buffer.from(salt, 'base64') : crypto.randomBytes(16), KEY_LENGTH);
+
+        const expectedHash = Buffer.from(expected || '', 'base64');
+        if (scheme !== 'scrypt' || expectedHash.length !== hash.length) return false;
+        return crypto.timingSafeEqual(hash, expectedHash);
+    }
+
+    _sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    _normalizeEmail(email) {
+        return String(email).trim().toLowerCase();
+    }
+
+    _pruneMagicLinks() {
+        const now = Date.now();
+        this.magicLinks.forEach((link, tokenHash) => {
+            if (link.expiresAt < now) this.magicLinks.delete(tokenHash);
+        });
+    }
+
+    /**
+     * Get store statistics
+     */
+    getStats() {
+        return {
+            accounts: this.accounts.size,
+            pendingMagicLinks: this.magicLinks.size,
+            loaded: this.loaded,
+        };
+    }
+}
+
+// Singleton instance
+const accountStore = new AccountStore();
+
+module.exports = accountStore;
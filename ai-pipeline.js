@@ -1,6 +1,11 @@
-const OpenAI = require('openai');
 const config = require('./config');
+const { createProvider } = require('./llm-providers');
 const datasetLoader = require('./dataset-loader');
+const personaRegistry = require('./persona-registry');
+const safetyClassifier = require('./safety-classifier');
+const ResponseCache = require('./response-cache');
+const metrics = require('./metrics');
+const logger = require('./logger');
 
 /**
  * AI Pipeline - Core response generation with ultra-low latency
@@ -8,63 +13,202 @@ const datasetLoader = require('./dataset-loader');
  */
 class AIPipeline {
     constructor() {
-        this.openai = null;
-        this.responseCache = new Map();
-        this.cacheHits = 0;
+        this.llm = createProvider();
+        this.responseCache = new ResponseCache();
+        this.datasetHits = 0;
+        this.llmCacheHits = 0;
         this.cacheMisses = 0;
+        this.paraphrases = 0;
+        this.safetyEscalations = 0;
+        this.timeouts = 0;
 
-        // Initialize OpenAI only if API key is provided
-        if (config.openai.apiKey) {
-            this.openai = new OpenAI({
-                apiKey: config.openai.apiKey,
-            });
-            console.log('🤖 OpenAI initialized for fallback responses');
+        if (this.llm) {
+            logger.info('LLM provider initialized for fallback responses', { provider: this.llm.name, model: this.llm.model });
         } else {
-            console.log('⚠️  OpenAI API key not provided - using cache-only mode');
+            logger.warn('No LLM provider configured - using cache-only mode');
         }
     }
 
     /**
      * Generate AI response with latency optimization
+     * history is the session's ConversationHistory (optional)
+     * onChunk(text) receives LLM output incrementally while it streams (optional)
+     * log is a logger carrying the caller's correlation fields (optional)
+     * language picks the dataset and the language the reply is written in
+     * persona (from the persona registry) shapes LLM replies; defaults to the default persona
+     * Aborting signal abandons an LLM reply: it resolves with source 'cancelled' and no response
+     * Once the session has heard every distinct dataset reply for a prompt, the LLM says the
+     * least recently heard one in new words ('llm-paraphrase'); without an LLM other close
+     * prompts answer first (see datasetLoader.findResponse)
+     * The whole call is bounded by config.performance.responseTimeout
      */
-    async generateResponse(userInput, voiceGender = 'female') {
+    async generateResponse(userInput, {
+        voiceGender = 'female',
+        history = null,
+        onChunk = null,
+        log = logger,
+        language = config.languages.default,
+        persona = null,
+        signal = null,
+    } = {}) {
         const startTime = Date.now();
 
         try {
+            // Step 0: Safety check comes before any cached or generated reply
+            if (config.safety.enabled) {
+                const safety = safetyClassifier.classify(userInput, language);
+
+                if (safety.flagged) {
+                    this.safetyEscalations++;
+                    safetyClassifier.logEvent(userInput, safety, log);
+
+                    return {
+                        response: safetyClassifier.getEscalationResponse(safety),
+                        source: 'safety',
+                        language: safety.language,
+                        safety: {
+                            category: safety.category,
+                            region: config.safety.region,
+                            helpline: safetyClassifier.getHelpline(config.safety.region, safety.language),
+                        },
+                        latency: Date.now() - startTime,
+                    };
+                }
+            }
+
             // Step 1: Check dataset cache (ultra-fast, ~1ms)
-            const cachedResponse = datasetLoader.findResponse(userInput);
+            // Without an LLM to rephrase, other close prompts are tried before a reply repeats
+            const match = datasetLoader.findResponse(userInput, { history, language, avoidRepeats: !this.llm });
 
-            if (cachedResponse) {
-                this.cacheHits++;
+            // Every reply for this prompt was heard already: have the LLM rephrase one instead
+            const paraphrase = match && !match.fresh && this.llm ? match : null;
+
+            if (match && !paraphrase) {
+                this.datasetHits++;
+                metrics.recordKeywordHits(datasetLoader.getKeywordBuckets(match.user, language));
                 const latency = Date.now() - startTime;
-                console.log(`✅ Cache hit (${latency}ms): "${userInput.substring(0, 30)}..."`);
+                log.debug('Dataset match', { latency, score: match.score });
 
                 return {
-                    response: this._cleanResponse(cachedResponse),
+                    response: this._cleanResponse(match.ai),
                     source: config.dataset.sourceUrl || 'cache',
+                    confidence: match.score,
                     latency,
                 };
             }
 
-            // Step 2: LLM fallback for novel inputs
+            // Step 2: Previously generated LLM answer for the same input (paraphrases must be new)
+            const cacheKey = this._cacheKey(userInput, language, persona);
+            const cachedResponse = paraphrase ? null : this.responseCache.get(cacheKey);
+
+            if (cachedResponse) {
+                this.llmCacheHits++;
+                const latency = Date.now() - startTime;
+                log.debug('LLM cache hit', { latency });
+
+                return {
+                    response: cachedResponse,
+                    source: 'llm-cache',
+                    latency,
+                };
+            }
+
+            // Step 3: LLM fallback for novel inputs
             this.cacheMisses++;
-            console.log(`🔄 Cache miss, using LLM: "${userInput.substring(0, 30)}..."`);
+            log.debug(paraphrase ? 'Dataset replies exhausted, paraphrasing with LLM' : 'Cache miss, using LLM');
+
+            // Cancel the LLM request once the latency budget is spent, or when the caller gives up
+            const controller = new AbortController();
+            let timer;
+            let stopWaiting;
+            const interrupted = new Promise(resolve => {
+                stopWaiting = resolve;
+                const remaining = config.performance.responseTimeout - (Date.now() - startTime);
+                timer = setTimeout(() => {
+                    controller.abort();
+                    resolve(null);
+                }, Math.max(0, remaining));
+            });
+            const cancel = () => {
+                controller.abort();
+                stopWaiting(null);
+            };
+            if (signal) {
+                signal.addEventListener('abort', cancel, { once: true });
+                if (signal.aborted) cancel();
+            }
+
+            let firstChunkLatency = null;
+            const handleChunk = onChunk && ((text) => {
+                if (controller.signal.aborted) return;
+                if (firstChunkLatency === null) {
+                    firstChunkLatency = Date.now() - startTime;
+                }
+                onChunk(text);
+            });
+
+            const llmResult = await Promise.race([
+                this._generateLLMResponse(userInput, {
+                    voiceGender,
+                    history,
+                    onChunk: handleChunk,
+                    signal: controller.signal,
+                    log,
+                    language,
+                    persona,
+                    paraphrase: paraphrase && paraphrase.ai,
+                }),
+                interrupted,
+            ]);
+            clearTimeout(timer);
+
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+                if (signal.aborted) {
+                    log.debug('LLM reply cancelled');
+                    return { response: null, source: 'cancelled', latency: Date.now() - startTime };
+                }
+            }
+
+            if (!llmResult || controller.signal.aborted) {
+                return this._timeoutFallback(userInput, { history, language, startTime, log });
+            }
 
-            const llmResponse = await this._generateLLMResponse(userInput, voiceGender);
             const latency = Date.now() - startTime;
 
+            if (paraphrase) {
+                // A repeat of the dataset reply beats a generic one when the LLM failed
+                const paraphrased = llmResult.source === 'llm';
+                if (paraphrased) this.paraphrases++;
+
+                return {
+                    response: paraphrased ? llmResult.text : this._cleanResponse(paraphrase.ai),
+                    source: paraphrased ? 'llm-paraphrase' : config.dataset.sourceUrl || 'cache',
+                    confidence: paraphrase.score,
+                    latency,
+                    firstChunkLatency,
+                };
+            }
+
+            // Only real LLM answers are worth reusing, and only those written without the
+            // session's history: those may quote one user's earlier turns to everyone else
+            if (llmResult.source === 'llm' && !(history && history.getMessages().length > 0)) {
+                this.responseCache.set(cacheKey, llmResult.text);
+            }
+
             return {
-                response: llmResponse,
-                source: 'llm',
+                response: llmResult.text,
+                source: llmResult.source,
                 latency,
+                firstChunkLatency,
             };
 
         } catch (error) {
-            console.error('❌ Error generating response:', error.message);
+            log.error('Error generating response', { error });
 
             // Fallback to generic supportive response
             return {
-                response: "I'm here for you. Tell me more about what's on your mind.",
+                response: datasetLoader.getGenericPhrases(language).replies.error,
                 source: 'fallback',
                 latency: Date.now() - startTime,
             };
@@ -72,25 +216,44 @@ class AIPipeline {
     }
 
     /**
-     * Generate response using LLM with personality prompting
+     * Generate response using LLM with the persona's prompt and examples
+     * Recent conversation turns are included so replies stay in context
+     * With paraphrase (a reply the user already heard) it asks for that reply in new words
+     * Streams the completion when onChunk is provided
+     * Returns { text, source } where source is 'generic' if the provider is unavailable or failed
      */
-    async _generateLLMResponse(userInput, voiceGender) {
-        if (!this.openai) {
-            // No API key - use generic empathetic response
-            return this._generateGenericResponse(userInput);
+    async _generateLLMResponse(userInput, {
+        voiceGender = 'female',
+        history = null,
+        onChunk = null,
+        signal = null,
+        log = logger,
+        language = config.languages.default,
+        persona = null,
+        paraphrase = null,
+    } = {}) {
+        if (!this.llm) {
+            // No provider - use generic empathetic response
+            return { text: this._generateGenericResponse(userInput, language), source: 'generic' };
         }
 
         try {
-            // Get example conversations for personality reference
-            const example1 = datasetLoader.getRandomExample();
-            const example2 = datasetLoader.getRandomExample();
+            const { systemPrompt: personality, exampleKeywords, response } = persona || personaRegistry.get(config.personas.default);
 
-            const systemPrompt = `You are a caring, empathetic AI friend. Your responses should be:
-- Short (1-2 sentences maximum)
-- Warm and supportive
+            // Get example conversations (in the reply language, from the persona's subset) for personality reference
+            const example1 = datasetLoader.getRandomExample(language, exampleKeywords);
+            const example2 = datasetLoader.getRandomExample(language, exampleKeywords);
+            const languageName = (config.languages.supported[language] || {}).name || language;
+            const length = response.maxSentences > 1 ? `1-${response.maxSentences} sentences` : '1 sentence';
+            const rephrase = paraphrase
+                ? `\nYou already told the user: "${this._cleanResponse(paraphrase)}"\nSay the same thing again in new words, without repeating that sentence.\n`
+                : '';
+
+            const systemPrompt = `${personality} Your responses should be:
+- Written in ${languageName}, the language the user is speaking
+- Short (${length} maximum)
 - Conversational and natural (for voice)
 - Never mention you're an AI, training, or datasets
-- Focus on emotional support and validation
 
 Examples of your personality:
 User: ${example1?.user || 'I feel lonely'}
@@ -98,47 +261,93 @@ You: ${example1?.ai || "I'm here for you"}
 
 User: ${example2?.user || 'I am stressed'}
 You: ${example2?.ai || "That's okay. Want to talk about it?"}
-
+${rephrase}
 Respond naturally as a supportive friend would in conversation.`;
 
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userInput },
-                ],
-                max_tokens: config.openai.maxTokens,
-                temperature: config.openai.temperature,
+            const messages = [
+                { role: 'system', content: systemPrompt },
+                ...(history ? history.getMessages() : []),
+                { role: 'user', content: userInput },
+            ];
+
+            const { text, usage } = await this.llm.complete(messages, {
+                signal,
+                maxTokens: response.maxTokens,
+                onChunk: onChunk && ((delta) => {
+                    const chunk = this._cleanChunk(delta);
+                    if (chunk) {
+                        onChunk(chunk);
+                    }
+                }),
             });
+            metrics.recordLLMRequest(this.llm.name, 'success', usage);
 
-            const response = completion.choices[0].message.content.trim();
-            return this._cleanResponse(response);
+            return { text: this._cleanResponse(text), source: 'llm' };
 
         } catch (error) {
-            console.error('❌ OpenAI API error:', error.message);
-            return this._generateGenericResponse(userInput);
+            // Aborts are reported by the caller as timeouts
+            const aborted = !!signal && signal.aborted;
+            metrics.recordLLMRequest(this.llm.name, aborted ? 'aborted' : 'error');
+            if (!aborted) {
+                log.error('LLM provider error', { provider: this.llm.name, error });
+            }
+            return { text: this._generateGenericResponse(userInput, language), source: 'generic' };
         }
     }
 
     /**
-     * Generate generic empathetic response when LLM unavailable
+     * Best available reply once the latency budget has expired: a dataset match
+     * (e.g. the reply the LLM was paraphrasing), else ask the user to try again.
+     * Weaker matches aren't used; they answer a different question
      */
-    _generateGenericResponse(userInput) {
+    _timeoutFallback(userInput, { history, language, startTime, log = logger }) {
+        this.timeouts++;
+        log.warn('LLM exceeded latency budget', { budget: config.performance.responseTimeout });
+
+        const match = datasetLoader.findResponse(userInput, { history, language });
+
+        return {
+            response: match ? this._cleanResponse(match.ai) : datasetLoader.getGenericPhrases(language).replies.timeout,
+            source: 'timeout-fallback',
+            confidence: match ? match.score : undefined,
+            latency: Date.now() - startTime,
+        };
+    }
+
+    /**
+     * Generate generic empathetic response (from the language's lexicon) when LLM unavailable
+     */
+    _generateGenericResponse(userInput, language = config.languages.default) {
         const input = userInput.toLowerCase();
+        const { greetings, thanks, goodbyes, replies } = datasetLoader.getGenericPhrases(language);
+        const mentions = (words) => words.some(word => input.includes(word));
 
         // Simple keyword-based responses
-        if (input.includes('hello') || input.includes('hi') || input.includes('hey')) {
-            return "Hey! I'm here for you. How are you feeling?";
+        if (mentions(greetings)) {
+            return replies.greeting;
         }
-        if (input.includes('thank')) {
-            return "You're welcome! I'm always here when you need me.";
+        if (mentions(thanks)) {
+            return replies.thanks;
         }
-        if (input.includes('bye') || input.includes('goodbye')) {
-            return "Take care! I'll be here whenever you need to talk.";
+        if (mentions(goodbyes)) {
+            return replies.goodbye;
         }
 
         // Default empathetic response
-        return "I hear you. Tell me more about what's on your mind.";
+        return replies.default;
+    }
+
+    /**
+     * LLM cache key; other languages and personas get their own entries so a reply is
+     * never reused in the wrong language or voice
+     */
+    _cacheKey(userInput, language, persona) {
+        const scope = [
+            language !== config.languages.default ? language : null,
+            persona && persona.id !== config.personas.default ? persona.id : null,
+        ].filter(Boolean);
+
+        return [...scope, userInput].join(' ');
     }
 
     /**
@@ -155,18 +364,38 @@ Respond naturally as a supportive friend would in conversation.`;
             .trim();
     }
 
+    /**
+     * Clean a streamed fragment for voice output
+     * Keeps surrounding spaces so fragments can be concatenated
+     */
+    _cleanChunk(text) {
+        return text
+            .replace(/[😊😄🤍💪❤️🌟✨💫]/g, '') // Remove emojis
+            .replace(/\*/g, '') // Remove markdown bold/italic
+            .replace(/\n+/g, ' '); // Replace newlines with spaces
+    }
+
     /**
      * Get pipeline statistics
      */
     getStats() {
-        const total = this.cacheHits + this.cacheMisses;
-        const hitRate = total > 0 ? ((this.cacheHits / total) * 100).toFixed(1) : 0;
+        const cacheHits = this.datasetHits + this.llmCacheHits;
+        const total = cacheHits + this.cacheMisses;
+        const hitRate = total > 0 ? ((cacheHits / total) * 100).toFixed(1) : 0;
 
         return {
-            cacheHits: this.cacheHits,
+            cacheHits,
+            datasetHits: this.datasetHits,
+            llmCacheHits: this.llmCacheHits,
             cacheMisses: this.cacheMisses,
+            paraphrases: this.paraphrases,
             hitRate: `${hitRate}%`,
-            llmEnabled: !!this.openai,
+            safetyEscalations: this.safetyEscalations,
+            timeouts: this.timeouts,
+            llmEnabled: !!this.llm,
+            llmProvider: this.llm ? this.llm.name : 'none',
+            llmModel: this.llm ? this.llm.model : null,
+            llmCache: this.responseCache.getStats(),
         };
     }
 }
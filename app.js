@@ -3,28 +3,159 @@
  * Real-time voice conversation with interactive glowing ball
  */
 
+// Ball/visualizer tint (RGB) and voice tuning per session mood
+const MOOD_STYLES = {
+    neutral: { color: [255, 255, 255], rate: 1.0, pitch: 1.0 },
+    happy: { color: [255, 214, 102], rate: 1.08, pitch: 1.1 },
+    grateful: { color: [255, 170, 120], rate: 1.03, pitch: 1.05 },
+    sad: { color: [110, 150, 255], rate: 0.88, pitch: 0.92 },
+    lonely: { color: [170, 140, 255], rate: 0.9, pitch: 0.95 },
+    anxious: { color: [120, 220, 200], rate: 0.86, pitch: 0.95 },
+    angry: { color: [255, 120, 110], rate: 0.9, pitch: 0.9 },
+    tired: { color: [150, 170, 200], rate: 0.85, pitch: 0.93 },
+};
+
+// Hands-free listening: quiet time that ends a turn, words needed to talk over the AI,
+// how long after speaking its own voice may still echo back, and the mic reopen delay
+const HANDS_FREE = {
+    silenceMs: 900,
+    bargeInMinWords: 2,
+    echoWindowMs: 1500,
+    restartDelayMs: 300,
+};
+
+// Visualizer and input meter: analyser settings, RMS levels below which the microphone
+// counts as muted or too quiet (after warnAfterMs of listening), and the speech envelope
+const AUDIO_LEVELS = {
+    fftSize: 256,
+    smoothing: 0.8,
+    mutedLevel: 0.002,
+    quietLevel: 0.02,
+    meterFullLevel: 0.2,
+    warnAfterMs: 3000,
+    speechFloor: 0.15,
+    speechDecay: 0.92,
+};
+
+// Used until /config.json answers (and when no copy of it was ever saved)
+const DEFAULT_CLIENT_CONFIG = {
+    features: { handsFree: true, moodJournal: true, offline: true },
+    voice: { default: 'female', premium: false },
+};
+
+// Messages that end the reply to a user_message
+const FINAL_REPLY_TYPES = ['ai_response', 'ai_response_end', 'safety_alert', 'response_cancelled', 'rate_limited', 'error'];
+
 class VoiceAIFriend {
     constructor() {
-        // WebSocket connection
+        // Backend and features (see loadClientConfig)
+        this.clientConfigKey = 'voiceAIFriend.clientConfig';
+        this.clientConfig = null;
+        this.trustedBackend = true; // false when a ?ws= / ?server= link points somewhere else
+        this.visitTokens = new Map(); // Tokens from an untrusted backend, kept for this visit only
+
+        // WebSocket connection (reconnects forever with jittered backoff)
         this.ws = null;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
+        this.maxReconnectDelay = 30000;
+        this.reconnectTimer = null;
+        this.reconnectCountdown = null;
+
+        // Keepalive (interval and limits are updated from the server's welcome message)
+        this.pingInterval = 30000;
+        this.maxMessageLength = 2000;
+        this.keepAliveTimer = null;
+        this.lastServerMessageAt = 0;
+
+        // Protocol handshake (see protocol.js)
+        this.handshakeComplete = false;
+        this.requestCounter = 0;
+        this.rateLimitTimer = null;
+
+        // Account (optional): the signed auth token is sent with the WebSocket upgrade;
+        // without one the app runs as a guest
+        this.authTokenKey = 'voiceAIFriend.authToken';
+        this.account = null; // { id, email, settings } from welcome or a sign-in
+
+        // Server-side session (history survives reloads and reconnects)
+        this.sessionId = null;
+        this.sessionTokenKey = 'voiceAIFriend.sessionToken';
+        this.pendingSession = null;
+
+        // Conversation language ('auto' answers in whatever language the user speaks or types)
+        this.languageKey = 'voiceAIFriend.language';
+        this.language = this.loadLanguage();
+        this.replyLanguage = null; // Language of the latest reply, followed in 'auto' mode
+        this.locales = {}; // Language code -> locale, from the server's welcome
+
+        // Persona (personality, default voice and speaking style; list comes with welcome)
+        this.personaKey = 'voiceAIFriend.persona';
+        this.persona = this.loadPersona();
+        this.personas = {}; // Persona id -> { id, name, description, voice, default }
+        this.personaTuning = { rate: 1.0, pitch: 1.0 };
 
         // Voice settings
         this.voiceGender = 'female';
         this.isListening = false;
         this.isSpeaking = false;
+        this.pendingUtterances = 0;
+
+        // Session mood from the server (see applyMood)
+        this.moodColor = null;
+        this.voiceTuning = { rate: 1.0, pitch: 1.0 };
+
+        // Daily check-in: listen for the answer once the prompt has been spoken
+        this.listenAfterSpeech = false;
+
+        // Hands-free mode: the microphone stays open, a pause ends each turn and talking
+        // over the AI interrupts it (barge-in)
+        this.handsFreeKey = 'voiceAIFriend.handsFree';
+        this.handsFree = this.loadHandsFree();
+        this.keepListening = false; // Reopen recognition whenever the browser ends it
+        this.turnTranscript = ''; // Final results heard so far in the current turn
+        this.turnTimer = null;
+        this.spokenText = ''; // What the AI is saying, to tell its echo from the user
+        this.speechEndedAt = 0;
+
+        // Reply tracking: the user_message awaiting its reply, and interrupted ones whose
+        // late messages are dropped
+        this.pendingReplyId = null;
+        this.cancelledRequests = new Set();
+
+        // Offline mode: messages sent while disconnected wait in the outbox (saved in
+        // localStorage) and go out one by one after reconnecting; meanwhile the offline
+        // responder answers from the exported dataset index
+        this.outboxKey = 'voiceAIFriend.outbox';
+        this.outbox = this.loadOutbox(); // [{ text, answered }], oldest first
+        this.maxOutbox = 50;
+        this.flushingId = null; // requestId of the queued message being sent
+        this.replayedRequests = new Set(); // Queued messages already answered offline
+        this.datasetIndexKey = 'voiceAIFriend.datasetIndex';
+        this.offlineResponder = null;
+
+        // Streaming response in progress ({ element, text, spokenLength })
+        this.streamingResponse = null;
 
         // Web Speech API
         this.recognition = null;
         this.synthesis = window.speechSynthesis;
         this.voices = [];
 
-        // Audio visualization
+        // Audio visualization (microphone analyser, see startMicrophone)
         this.audioContext = null;
         this.analyser = null;
-        this.dataArray = null;
+        this.dataArray = null; // Frequency bins
+        this.timeDomainData = null; // Waveform, for the input level
         this.animationId = null;
+        this.mediaStream = null;
+        this.micSource = null;
+        this.micStarting = false;
+        this.micStartedAt = 0;
+        this.micLevel = 0;
+        this.micPeak = 0;
+        this.micWarning = null;
+        this.levelWarning = false; // micWarning came from the level meter, not the device
+        this.speechEnvelope = 0;
 
         // DOM elements
         this.elements = {
@@ -36,10 +167,32 @@ class VoiceAIFriend {
             statusText: document.getElementById('statusText'),
             visualizer: document.getElementById('visualizer'),
             visualizerContainer: document.getElementById('visualizerContainer'),
+            micWarning: document.getElementById('micWarning'),
             latencyValue: document.getElementById('latencyValue'),
             sourceValue: document.getElementById('sourceValue'),
             connectionStatus: document.getElementById('connectionStatus'),
+            retryButton: document.getElementById('retryButton'),
             voiceButtons: document.querySelectorAll('.voice-btn'),
+            languageSelect: document.getElementById('languageSelect'),
+            personaSelect: document.getElementById('personaSelect'),
+            checkInButton: document.getElementById('checkInButton'),
+            moodButton: document.getElementById('moodButton'),
+            moodPanel: document.getElementById('moodPanel'),
+            moodChart: document.getElementById('moodChart'),
+            moodTopics: document.getElementById('moodTopics'),
+            handsFreeButton: document.getElementById('handsFreeButton'),
+            exportFormat: document.getElementById('exportFormat'),
+            importButton: document.getElementById('importButton'),
+            importFile: document.getElementById('importFile'),
+            accountButton: document.getElementById('accountButton'),
+            accountPanel: document.getElementById('accountPanel'),
+            accountForm: document.getElementById('accountForm'),
+            accountEmail: document.getElementById('accountEmail'),
+            accountPassword: document.getElementById('accountPassword'),
+            accountSignedIn: document.getElementById('accountSignedIn'),
+            accountEmailLabel: document.getElementById('accountEmailLabel'),
+            accountStatus: document.getElementById('accountStatus'),
+            signOutButton: document.getElementById('signOutButton'),
         };
 
         this.init();
@@ -60,14 +213,122 @@ class VoiceAIFriend {
         // Initialize audio visualization
         this.initAudioVisualization();
 
+        // Find the backend and the enabled features
+        await this.loadClientConfig();
+        this.applyFeatures();
+
+        // Sign in from a magic link, or drop a saved sign-in that expired
+        await this.restoreAccount();
+
         // Connect to WebSocket server
         this.connectWebSocket();
 
+        // Offline support: cached app shell and the local fallback responder
+        if (this.clientConfig.features.offline) {
+            this.registerServiceWorker();
+            this.loadOfflineResponder();
+        }
+
         // Set up event listeners
         this.setupEventListeners();
 
         // Set default voice
-        this.setVoice('female');
+        this.setVoice(this.clientConfig.voice.default);
+
+        // Restore hands-free mode (the microphone opens on the first click)
+        this.setHandsFree(this.handsFree, { listen: false });
+    }
+
+    /**
+     * Work out the backend and features, most specific first:
+     * ?ws=<url> in the page URL, then /config.json from ?server=<url> (or this page's
+     * host), then the copy saved on the last visit, then this page's host
+     * Saved sign-in and session tokens only go to this page's own backend (its host or the
+     * wsUrl of its own config.json). A ?ws= or ?server= link to any other backend runs
+     * as a guest and is not remembered
+     */
+    async loadClientConfig() {
+        const params = new URLSearchParams(window.location.search);
+        const server = (params.get('server') || '').replace(/\/+$/, '');
+        const override = Boolean(params.get('ws') || server);
+        const pageHost = `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}`;
+
+        let loaded = null;
+        try {
+            const response = await fetch(`${server || '.'}/config.json`, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            loaded = await response.json();
+        } catch (error) {
+            console.warn('⚠️  Could not load config.json:', error.message);
+            loaded = this.loadSavedClientConfig();
+        }
+        loaded = loaded || {};
+
+        // The config.json fetched from ?server= belongs to that server, not to this page
+        const ownConfig = (server ? this.loadSavedClientConfig() : loaded) || {};
+
+        this.clientConfig = {
+            wsUrl: params.get('ws') || loaded.wsUrl || (server ? server.replace(/^http/, 'ws') : pageHost),
+            features: { ...DEFAULT_CLIENT_CONFIG.features, ...loaded.features },
+            voice: { ...DEFAULT_CLIENT_CONFIG.voice, ...loaded.voice },
+        };
+
+        // HTTP API (accounts, mood journal, dataset index) lives on the same host as the WebSocket
+        this.apiBaseUrl = this.clientConfig.wsUrl.replace(/^ws/, 'http').replace(/\/+$/, '');
+
+        const backendOrigin = this.getOrigin(this.clientConfig.wsUrl);
+        this.trustedBackend = !override || (backendOrigin !== null &&
+            [pageHost, ownConfig.wsUrl].some(url => url && this.getOrigin(url) === backendOrigin));
+        if (!this.trustedBackend) {
+            console.warn(`⚠️  ${this.apiBaseUrl} is not this site's backend: continuing as a guest without saved sign-in`);
+            return;
+        }
+
+        // Remembered for offline starts
+        try {
+            localStorage.setItem(this.clientConfigKey, JSON.stringify(this.clientConfig));
+        } catch (error) {
+            console.warn('⚠️  Could not save client config:', error.message);
+        }
+    }
+
+    /**
+     * HTTP(S) origin of a ws(s) or http(s) URL, or null when it doesn't parse
+     */
+    getOrigin(url) {
+        try {
+            return new URL(url.replace(/^ws/, 'http')).origin;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Client config saved on an earlier visit, or null
+     */
+    loadSavedClientConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(this.clientConfigKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Hide the controls of features the server turned off
+     */
+    applyFeatures() {
+        const { features } = this.clientConfig;
+
+        this.elements.handsFreeButton.hidden = !features.handsFree;
+        if (!features.handsFree) {
+            this.handsFree = false;
+        }
+
+        this.elements.checkInButton.hidden = !features.moodJournal;
+        this.elements.moodButton.hidden = !features.moodJournal;
     }
 
     /**
@@ -100,29 +361,39 @@ class VoiceAIFriend {
         }
 
         this.recognition = new SpeechRecognition();
-        this.recognition.continuous = false;
-        this.recognition.interimResults = false;
-        this.recognition.lang = 'en-US';
+        this.recognition.continuous = this.handsFree;
+        this.recognition.interimResults = this.handsFree;
+        this.recognition.lang = this.getLocale();
 
         this.recognition.onstart = () => {
             console.log('🎤 Listening...');
             this.isListening = true;
             this.elements.aiBall.classList.add('listening');
             this.elements.ballStatus.textContent = 'Listening...';
-            this.elements.visualizerContainer.classList.add('active');
+            this.startMicrophone();
         };
 
         this.recognition.onresult = (event) => {
+            if (this.handsFree) {
+                this.handleHandsFreeResult(event);
+                return;
+            }
+
             const transcript = event.results[0][0].transcript;
             console.log('📝 Transcript:', transcript);
             this.handleUserInput(transcript);
         };
 
         this.recognition.onerror = (event) => {
+            // Hands-free sessions end on silence all the time; onend reopens them
+            if (this.keepListening && (event.error === 'no-speech' || event.error === 'aborted')) {
+                return;
+            }
+            this.keepListening = false;
+
             console.error('❌ Recognition error:', event.error);
             this.isListening = false;
             this.elements.aiBall.classList.remove('listening');
-            this.elements.visualizerContainer.classList.remove('active');
 
             if (event.error === 'no-speech') {
                 this.elements.ballStatus.textContent = 'No speech detected. Try again.';
@@ -139,50 +410,149 @@ class VoiceAIFriend {
             console.log('🎤 Stopped listening');
             this.isListening = false;
             this.elements.aiBall.classList.remove('listening');
-            this.elements.visualizerContainer.classList.remove('active');
 
             if (!this.isSpeaking) {
                 this.elements.ballStatus.textContent = 'Click me to talk!';
             }
+
+            // A turn cut off by the session ending still counts
+            if (this.turnTranscript) {
+                this.endHandsFreeTurn();
+            }
+
+            // Hands-free: browsers end recognition after a while, so reopen it
+            // (the microphone stays open for the visualizer in between)
+            if (!this.keepListening) {
+                this.stopMicrophone();
+            } else {
+                setTimeout(() => {
+                    if (this.keepListening && !this.isListening) {
+                        this.startListening();
+                    }
+                }, HANDS_FREE.restartDelayMs);
+            }
         };
     }
 
+    /**
+     * Hands-free recognition result: collect the turn until the user goes quiet
+     * Enough words over the AI (that aren't its own echo) interrupt it
+     */
+    handleHandsFreeResult(event) {
+        let interim = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (result.isFinal) {
+                this.turnTranscript += `${result[0].transcript} `;
+            } else {
+                interim += result[0].transcript;
+            }
+        }
+
+        const heard = `${this.turnTranscript}${interim}`.trim();
+        if (!heard) return;
+
+        if (this.isEcho(heard)) {
+            this.turnTranscript = '';
+            return;
+        }
+
+        if ((this.isSpeaking || this.pendingReplyId) && this.countWords(heard) >= HANDS_FREE.bargeInMinWords) {
+            this.bargeIn();
+        }
+
+        // Voice activity detection: every result pushes the end of the turn back
+        clearTimeout(this.turnTimer);
+        this.turnTimer = setTimeout(() => this.endHandsFreeTurn(), HANDS_FREE.silenceMs);
+        this.elements.ballStatus.textContent = heard;
+    }
+
+    /**
+     * The user went quiet: send what they said as one message
+     */
+    endHandsFreeTurn() {
+        clearTimeout(this.turnTimer);
+        this.turnTimer = null;
+
+        const text = this.turnTranscript.trim();
+        this.turnTranscript = '';
+        if (!text) return;
+
+        // A stray word or noise while the AI is talking isn't a turn
+        if (this.isSpeaking || this.pendingReplyId) {
+            if (this.countWords(text) < HANDS_FREE.bargeInMinWords) return;
+            this.bargeIn();
+        }
+
+        console.log('📝 Transcript:', text);
+        this.handleUserInput(text);
+    }
+
+    /**
+     * Whether recognized text is just the AI's own voice picked up by the microphone
+     */
+    isEcho(text) {
+        if (!this.isSpeaking && Date.now() - this.speechEndedAt > HANDS_FREE.echoWindowMs) {
+            return false;
+        }
+
+        const words = (value) => value.toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+        const spoken = new Set(words(this.spokenText));
+        return words(text).every(word => spoken.has(word));
+    }
+
+    /**
+     * Number of words in a transcript
+     */
+    countWords(text) {
+        return text.split(/\s+/).filter(Boolean).length;
+    }
+
     /**
      * Initialize audio visualization
+     * Draws the microphone spectrum while listening, a speech envelope while the AI
+     * talks and a flat line otherwise
      */
     initAudioVisualization() {
         const canvas = this.elements.visualizer;
         const ctx = canvas.getContext('2d');
+        const barCount = 50;
 
-        // Simple waveform visualization
         const draw = () => {
             this.animationId = requestAnimationFrame(draw);
 
             const width = canvas.width;
             const height = canvas.height;
+            const active = this.isListening || this.isSpeaking;
+            this.elements.visualizerContainer.classList.toggle('active', active);
 
             ctx.fillStyle = 'rgba(10, 10, 21, 0.3)';
             ctx.fillRect(0, 0, width, height);
 
-            if (this.isListening || this.isSpeaking) {
-                // Animated waveform
-                const time = Date.now() / 1000;
-                const barCount = 50;
-                const barWidth = width / barCount;
-
-                for (let i = 0; i < barCount; i++) {
-                    const x = i * barWidth;
-                    const amplitude = Math.sin(time * 2 + i * 0.5) * 0.5 + 0.5;
-                    const barHeight = amplitude * height * 0.6;
-                    const y = (height - barHeight) / 2;
+            if (this.analyser) {
+                this.analyser.getByteTimeDomainData(this.timeDomainData);
+                this.updateMicLevel(this.timeDomainData);
+            }
 
-                    const gradient = ctx.createLinearGradient(0, 0, 0, height);
-                    gradient.addColorStop(0, '#ff6ec7');
-                    gradient.addColorStop(1, '#4ecaff');
+            // Bar heights (0-1): the AI's voice while it talks, otherwise the microphone
+            let amplitudes = null;
+            if (this.isSpeaking) {
+                amplitudes = this.getSpeechEnvelope(barCount);
+            } else if (this.isListening && this.analyser) {
+                amplitudes = this.getMicSpectrum(barCount);
+            }
 
-                    ctx.fillStyle = gradient;
-                    ctx.fillRect(x, y, barWidth - 2, barHeight);
-                }
+            if (amplitudes) {
+                const barWidth = width / barCount;
+                const gradient = ctx.createLinearGradient(0, 0, 0, height);
+                gradient.addColorStop(0, this.moodColor || '#ff6ec7');
+                gradient.addColorStop(1, '#4ecaff');
+                ctx.fillStyle = gradient;
+
+                amplitudes.forEach((amplitude, i) => {
+                    const barHeight = Math.max(2, amplitude * height * 0.9);
+                    ctx.fillRect(i * barWidth, (height - barHeight) / 2, barWidth - 2, barHeight);
+                });
             } else {
                 // Idle state - flat line
                 ctx.strokeStyle = 'rgba(255, 110, 199, 0.3)';
@@ -192,46 +562,244 @@ class VoiceAIFriend {
                 ctx.lineTo(width, height / 2);
                 ctx.stroke();
             }
+
+            // Input level meter along the bottom edge (amber while the mic seems too quiet)
+            if (this.isListening && this.analyser) {
+                const meterWidth = Math.min(1, this.micLevel / AUDIO_LEVELS.meterFullLevel) * width;
+                ctx.fillStyle = this.micWarning ? '#f59e0b' : 'rgba(78, 202, 255, 0.8)';
+                ctx.fillRect(0, height - 3, meterWidth, 3);
+            }
         };
 
         draw();
+
+        // Release the microphone and audio context when the page goes away
+        window.addEventListener('pagehide', () => this.teardownAudio());
     }
 
     /**
-     * Connect to WebSocket server
+     * Open the microphone for the visualizer and level meter
+     * Speech recognition captures audio on its own; this stream is only measured
      */
-    connectWebSocket() {
-        const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+    async startMicrophone() {
+        if (this.mediaStream || this.micStarting) return;
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            console.warn('⚠️  getUserMedia not supported, visualizer stays idle');
+            return;
+        }
 
-        // IMPORTANT: Replace 'your-backend-name.onrender.com' with your actual Render URL after deployment
-        const productionWsUrl = 'wss://ai-friend-js5q.onrender.com';
+        this.micStarting = true;
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true },
+            });
 
-        let wsUrl;
-        if (isLocalhost) {
-            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            wsUrl = `${protocol}//${window.location.host}`;
-        } else {
-            wsUrl = productionWsUrl;
+            // Listening stopped while the permission prompt was open
+            if (!this.isListening && !this.keepListening) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            if (!this.audioContext) {
+                const AudioContext = window.AudioContext || window.webkitAudioContext;
+                this.audioContext = new AudioContext();
+            }
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+
+            this.mediaStream = stream;
+            this.micSource = this.audioContext.createMediaStreamSource(stream);
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = AUDIO_LEVELS.fftSize;
+            this.analyser.smoothingTimeConstant = AUDIO_LEVELS.smoothing;
+            this.micSource.connect(this.analyser);
+
+            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeDomainData = new Uint8Array(this.analyser.fftSize);
+            this.micStartedAt = Date.now();
+            this.micPeak = 0;
+            this.micLevel = 0;
+
+            // A muted or unplugged device shows up on the track itself
+            const [track] = stream.getAudioTracks();
+            track.onmute = () => this.setMicWarning('Your microphone is muted.');
+            track.onunmute = () => this.setMicWarning(null);
+            track.onended = () => {
+                this.stopMicrophone();
+                this.setMicWarning('Your microphone was disconnected.');
+            };
+            if (track.muted) {
+                this.setMicWarning('Your microphone is muted.');
+            }
+        } catch (error) {
+            console.error('❌ Microphone unavailable:', error);
+            this.setMicWarning(error.name === 'NotAllowedError'
+                ? 'Microphone access is blocked for this page.'
+                : 'No microphone found.');
+        } finally {
+            this.micStarting = false;
+        }
+    }
+
+    /**
+     * Close the microphone stream and the analyser reading it
+     */
+    stopMicrophone() {
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => {
+                track.onended = null;
+                track.stop();
+            });
+        }
+        if (this.micSource) {
+            this.micSource.disconnect();
+        }
+
+        this.mediaStream = null;
+        this.micSource = null;
+        this.analyser = null;
+        this.dataArray = null;
+        this.timeDomainData = null;
+        this.micLevel = 0;
+        this.setMicWarning(null);
+    }
+
+    /**
+     * Release every audio resource (page is closing)
+     */
+    teardownAudio() {
+        this.stopMicrophone();
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+
+    /**
+     * Track the input level (RMS of the waveform) and warn when the microphone
+     * has stayed silent or very quiet since it opened
+     */
+    updateMicLevel(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const sample = (samples[i] - 128) / 128;
+            sum += sample * sample;
         }
+        this.micLevel = Math.sqrt(sum / samples.length);
+        this.micPeak = Math.max(this.micPeak, this.micLevel);
+
+        if (this.micPeak >= AUDIO_LEVELS.quietLevel) {
+            if (this.levelWarning) this.setMicWarning(null);
+            return;
+        }
+        if (this.micWarning || Date.now() - this.micStartedAt < AUDIO_LEVELS.warnAfterMs) return;
+
+        this.setMicWarning(this.micPeak < AUDIO_LEVELS.mutedLevel
+            ? 'No sound from your microphone. Is it muted?'
+            : 'Your microphone is very quiet. Move closer or turn up the input volume.');
+        this.levelWarning = true;
+    }
+
+    /**
+     * Show (or with null, hide) a microphone problem under the visualizer
+     */
+    setMicWarning(message) {
+        this.micWarning = message;
+        this.levelWarning = false;
+        this.elements.micWarning.textContent = message || '';
+        this.elements.micWarning.hidden = !message;
+    }
+
+    /**
+     * Microphone spectrum as bar heights (0-1), covering the speech frequencies
+     */
+    getMicSpectrum(barCount) {
+        this.analyser.getByteFrequencyData(this.dataArray);
+
+        // The top half of the bins is mostly empty for voice
+        const bins = Math.floor(this.dataArray.length / 2);
+        const amplitudes = [];
+        for (let i = 0; i < barCount; i++) {
+            amplitudes.push(this.dataArray[Math.floor(i * bins / barCount)] / 255);
+        }
+        return amplitudes;
+    }
+
+    /**
+     * Bar heights (0-1) following the AI's speech
+     * speechSynthesis has no audio output to analyse, so word boundaries from the
+     * utterance push the envelope up and it decays between words
+     */
+    getSpeechEnvelope(barCount) {
+        this.speechEnvelope = Math.max(AUDIO_LEVELS.speechFloor, this.speechEnvelope * AUDIO_LEVELS.speechDecay);
+
+        const time = Date.now() / 1000;
+        const amplitudes = [];
+        for (let i = 0; i < barCount; i++) {
+            // Loudest in the middle, with a little movement across the bars
+            const position = i / (barCount - 1) - 0.5;
+            const shape = Math.exp(-position * position * 8);
+            const ripple = 0.8 + 0.2 * Math.sin(time * 12 + i * 0.7);
+            amplitudes.push(this.speechEnvelope * shape * ripple);
+        }
+        return amplitudes;
+    }
+
+    /**
+     * Connect to WebSocket server
+     */
+    connectWebSocket() {
+        const { wsUrl } = this.clientConfig;
+
+        clearInterval(this.reconnectCountdown);
+        this.elements.retryButton.hidden = true;
 
         console.log('🔌 Connecting to WebSocket:', wsUrl);
         this.updateConnectionStatus('Connecting...');
 
-        this.ws = new WebSocket(wsUrl);
+        // Signed in: the server checks the auth token before accepting the socket
+        const authToken = this.loadAuthToken();
+        this.ws = new WebSocket(authToken
+            ? `${wsUrl}${wsUrl.includes('?') ? '&' : '?'}auth=${encodeURIComponent(authToken)}`
+            : wsUrl);
+        let opened = false;
 
         this.ws.onopen = () => {
             console.log('✅ WebSocket connected');
-            this.updateConnectionStatus('Connected');
+            opened = true;
             this.reconnectAttempts = 0;
+            this.handshakeComplete = false;
+            this.startKeepAlive();
+
+            // Agree on a protocol version before sending anything else
+            this.sendMessage('hello', {
+                protocolVersion: VoiceAIProtocol.PROTOCOL_VERSION,
+                client: 'voice-ai-friend-web',
+            });
         };
 
         this.ws.onmessage = (event) => {
+            this.lastServerMessageAt = Date.now();
+
+            let data;
             try {
-                const data = JSON.parse(event.data);
-                this.handleServerMessage(data);
+                data = JSON.parse(event.data);
             } catch (error) {
                 console.error('❌ Error parsing message:', error);
+                return;
             }
+
+            const validation = VoiceAIProtocol.validateServerMessage(data);
+            if (!validation.valid) {
+                console.warn(`⚠️  Ignoring invalid server message (${validation.code}): ${validation.message}`);
+                return;
+            }
+
+            this.handleServerMessage(data);
         };
 
         this.ws.onerror = (error) => {
@@ -241,26 +809,113 @@ class VoiceAIFriend {
 
         this.ws.onclose = () => {
             console.log('🔌 WebSocket disconnected');
+            this.handshakeComplete = false;
+            this.pendingReplyId = null;
+            this.flushingId = null; // Resent after reconnecting
+            this.stopKeepAlive();
             this.updateConnectionStatus('Disconnected');
             this.attemptReconnect();
+
+            // A refused upgrade looks like any other failure: see whether the sign-in expired
+            if (!opened && authToken) {
+                this.checkAuthToken();
+            }
         };
     }
 
+    /**
+     * Send ping on the configured interval and drop the connection
+     * if the server has been silent for two intervals
+     */
+    startKeepAlive() {
+        this.stopKeepAlive();
+        this.lastServerMessageAt = Date.now();
+
+        this.keepAliveTimer = setInterval(() => {
+            if (Date.now() - this.lastServerMessageAt > this.pingInterval * 2) {
+                console.warn('⚠️  Connection stale, reconnecting');
+                const staleSocket = this.ws;
+                staleSocket.onclose = null;
+                staleSocket.close();
+
+                this.stopKeepAlive();
+                this.updateConnectionStatus('Disconnected');
+                this.attemptReconnect();
+                return;
+            }
+
+            this.sendMessage('ping');
+        }, this.pingInterval);
+    }
+
+    /**
+     * Whether the socket is open and the protocol handshake is done
+     */
+    isReady() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN && this.handshakeComplete;
+    }
+
+    /**
+     * Send a protocol message tagged with a fresh requestId
+     * Returns the requestId, or null if the connection is not ready
+     */
+    sendMessage(type, payload = {}) {
+        const canSend = type === 'hello'
+            ? this.ws && this.ws.readyState === WebSocket.OPEN
+            : this.isReady();
+        if (!canSend) return null;
+
+        const requestId = `${type}-${++this.requestCounter}`;
+        this.ws.send(JSON.stringify({ type, ...payload, requestId }));
+        return requestId;
+    }
+
+    /**
+     * Stop the keepalive timer
+     */
+    stopKeepAlive() {
+        clearInterval(this.keepAliveTimer);
+        this.keepAliveTimer = null;
+    }
+
     /**
      * Attempt to reconnect to WebSocket
      */
     attemptReconnect() {
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 10000);
+        this.reconnectAttempts++;
 
-            console.log(`🔄 Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        // Exponential backoff with jitter, so clients dropped together don't all return at once
+        const backoff = Math.min(1000 * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        console.log(`🔄 Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
 
-            setTimeout(() => this.connectWebSocket(), delay);
-        } else {
-            console.error('❌ Max reconnect attempts reached');
-            this.elements.ballStatus.textContent = 'Connection lost. Refresh page.';
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connectWebSocket(), delay);
+
+        // Count down in the status bar; Retry now skips the wait
+        const retryAt = Date.now() + delay;
+        const showCountdown = () => {
+            const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+            this.updateConnectionStatus(`Retrying in ${seconds}s`);
+        };
+        clearInterval(this.reconnectCountdown);
+        showCountdown();
+        this.reconnectCountdown = setInterval(showCountdown, 1000);
+        this.elements.retryButton.hidden = false;
+    }
+
+    /**
+     * Reconnect right away instead of waiting for the next attempt
+     * (Retry now, or the browser coming back online)
+     */
+    reconnectNow() {
+        if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
+            return;
         }
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAttempts = 0;
+        this.connectWebSocket();
     }
 
     /**
@@ -269,21 +924,104 @@ class VoiceAIFriend {
     handleServerMessage(data) {
         console.log('📨 Server message:', data.type);
 
+        const isFinalReply = FINAL_REPLY_TYPES.includes(data.type);
+        if (isFinalReply && data.requestId === this.pendingReplyId) {
+            this.pendingReplyId = null;
+        }
+        if (isFinalReply && data.requestId && data.requestId === this.flushingId) {
+            this.finishFlush(data);
+        } else if (isFinalReply && this.outbox.length > 0) {
+            this.flushOutbox();
+        }
+
+        // Queued messages that were answered offline: keep only the mood of the server's
+        // reply (crisis replies are always shown)
+        if (this.replayedRequests.has(data.requestId)) {
+            if (isFinalReply) {
+                this.replayedRequests.delete(data.requestId);
+                this.applyMood(data.mood);
+            }
+            if (data.type !== 'safety_alert') {
+                return;
+            }
+        }
+
+        // The user talked over this reply: drop what is left of it (crisis replies are
+        // always shown, and response_cancelled still carries the mood)
+        if (this.cancelledRequests.has(data.requestId)) {
+            if (isFinalReply) {
+                this.cancelledRequests.delete(data.requestId);
+            }
+            if (data.type !== 'safety_alert' && data.type !== 'response_cancelled') {
+                return;
+            }
+        }
+
         switch (data.type) {
-            case 'connected':
-                console.log('✅ Server ready');
+            case 'welcome':
+                this.handleWelcome(data);
                 break;
 
             case 'ai_response':
                 this.handleAIResponse(data);
                 break;
 
+            case 'ai_response_start':
+                this.handleResponseStart(data);
+                break;
+
+            case 'ai_response_chunk':
+                this.handleResponseChunk(data);
+                break;
+
+            case 'ai_response_end':
+                this.handleResponseEnd(data);
+                break;
+
+            case 'safety_alert':
+                this.handleSafetyAlert(data);
+                break;
+
+            case 'rate_limited':
+                this.handleRateLimited(data);
+                break;
+
+            case 'response_cancelled':
+                console.log('✋ Reply cancelled');
+                this.applyMood(data.mood);
+                this.handleCheckInSaved(data.checkIn);
+                break;
+
+            case 'session_resumed':
+                this.handleSessionResumed(data);
+                break;
+
+            case 'check_in_prompt':
+                this.handleCheckInPrompt(data);
+                break;
+
             case 'config_updated':
                 console.log('✅ Voice config updated:', data.gender);
                 break;
 
+            case 'language_updated':
+                console.log('✅ Language updated:', data.language);
+                break;
+
+            case 'persona_updated':
+                console.log('✅ Persona updated:', data.persona);
+                break;
+
             case 'error':
-                console.error('❌ Server error:', data.message);
+                console.error(`❌ Server error (${data.code}):`, data.message);
+                this.elements.ballStatus.textContent = data.message;
+
+                // Stored session is gone: keep the fresh one from welcome instead
+                if (data.code === VoiceAIProtocol.ERROR_CODES.SESSION_NOT_FOUND && this.pendingSession) {
+                    this.adoptSession(this.pendingSession);
+                    this.syncPreferences();
+                    this.flushOutbox();
+                }
                 break;
 
             case 'pong':
@@ -296,43 +1034,507 @@ class VoiceAIFriend {
     }
 
     /**
-     * Handle AI response from server
+     * Handshake accepted: apply the server's limits and sync preferences
      */
-    handleAIResponse(data) {
-        const { text, source, latency } = data;
-
-        // Update stats
-        this.elements.latencyValue.textContent = `${latency}ms`;
+    handleWelcome(data) {
+        console.log(`✅ Server ready (protocol v${data.protocolVersion})`);
+        this.handshakeComplete = true;
+        this.updateConnectionStatus('Connected');
+
+        this.pingInterval = data.pingInterval;
+        this.maxMessageLength = data.maxMessageLength;
+        this.elements.textInput.maxLength = data.maxMessageLength;
+        this.startKeepAlive();
+
+        if (data.languages) {
+            this.setLanguages(data.languages);
+        }
+        if (data.personas) {
+            this.setPersonas(data.personas);
+        }
 
-        if (source && source.startsWith('http')) {
-            const shortSource = source.split('/')[2] || 'Source';
-            this.elements.sourceValue.innerHTML = `<a href="${source}" target="_blank" style="color: inherit; text-decoration: underline;">${shortSource}</a>`;
-        } else {
-            this.elements.sourceValue.textContent = source;
+        // Signed in: the account's voice, language and persona win over this browser's
+        this.setAccount(data.account || null);
+        if (this.account) {
+            this.applyAccountSettings(this.account.settings);
         }
 
-        // Add AI message to conversation
-        this.addMessage(text, 'ai');
+        // Continue the previous conversation if this browser has one
+        const storedToken = this.loadSessionToken();
+        if (storedToken) {
+            this.pendingSession = { sessionId: data.sessionId, sessionToken: data.sessionToken };
+            this.sendMessage('resume_session', { sessionToken: storedToken });
+            return;
+        }
 
-        // Speak the response
-        this.speak(text);
+        this.adoptSession(data);
+        this.syncPreferences();
+        this.flushOutbox();
     }
 
     /**
-     * Set up event listeners
+     * Tell a new session which voice, language and persona this browser uses
      */
-    setupEventListeners() {
-        // Ball click (replaces microphone button)
-        this.elements.aiBall.addEventListener('click', () => {
-            this.toggleListening();
-        });
+    syncPreferences() {
+        this.sendMessage('voice_config', { gender: this.voiceGender });
+        this.sendMessage('language_config', { language: this.language });
+        if (this.persona) {
+            this.sendMessage('persona_config', { persona: this.persona });
+        }
+    }
 
-        // Send button
-        this.elements.sendButton.addEventListener('click', () => {
-            this.sendTextMessage();
-        });
+    /**
+     * Previous session restored: show its history (once per page) and its voice
+     */
+    handleSessionResumed(data) {
+        const alreadyShown = this.sessionId === data.sessionId;
+        this.sessionId = data.sessionId;
+        this.pendingSession = null;
+
+        if (this.account) {
+            // The account's preferences carry over into the continued conversation
+            this.syncPreferences();
+        } else {
+            this.setVoice(data.voiceGender, { notify: false });
+            if (data.language) {
+                this.setLanguage(data.language, { notify: false });
+            }
+            if (this.personas[data.persona]) {
+                this.setPersona(data.persona, { notify: false });
+            }
+        }
+        this.applyMood(data.mood);
 
-        // Text input (Enter key)
+        if (!alreadyShown) {
+            data.history.forEach(turn => {
+                const element = this.addMessage(turn.text, turn.role === 'user' ? 'user' : 'ai');
+                if (turn.source === 'safety') {
+                    element.closest('.message').classList.add('safety-message');
+                }
+            });
+        }
+
+        console.log(`🔁 Session resumed (${data.history.length} messages)`);
+        this.flushOutbox();
+    }
+
+    /**
+     * Use a newly issued session and remember its token for the next visit
+     */
+    adoptSession({ sessionId, sessionToken }) {
+        this.sessionId = sessionId;
+        this.pendingSession = null;
+
+        try {
+            this.writeToken(this.sessionTokenKey, sessionToken);
+        } catch (error) {
+            console.warn('⚠️  Could not save session:', error.message);
+        }
+    }
+
+    /**
+     * Token of the session to resume, if any
+     */
+    loadSessionToken() {
+        return this.readToken(this.sessionTokenKey);
+    }
+
+    /**
+     * Sign in from a ?magic= link (then remove it from the address bar, it only works
+     * once), otherwise check that the saved sign-in still works
+     */
+    async restoreAccount() {
+        const params = new URLSearchParams(window.location.search);
+        const magicToken = params.get('magic');
+        if (!magicToken) {
+            await this.checkAuthToken();
+            return;
+        }
+
+        params.delete('magic');
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        try {
+            const result = await this.postAuth('/api/auth/magic-link/verify', { token: magicToken });
+            this.completeSignIn(result, { reconnect: false });
+        } catch (error) {
+            this.elements.ballStatus.textContent = error.message;
+        }
+    }
+
+    /**
+     * Drop the saved sign-in (back to guest mode) if the server no longer accepts it
+     * Network failures keep it for the next attempt
+     */
+    async checkAuthToken() {
+        const authToken = this.loadAuthToken();
+        if (!authToken) return;
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/auth/me`, {
+                headers: { Authorization: `Bearer ${authToken}` },
+            });
+            if (response.status === 401) {
+                console.warn('⚠️  Sign-in expired, continuing as a guest');
+                this.saveAuthToken(null);
+                this.setAccount(null);
+            }
+        } catch (error) {
+            console.warn('⚠️  Could not check sign-in:', error.message);
+        }
+    }
+
+    /**
+     * Log in, sign up or ask for a magic link with the panel's email and password
+     */
+    async submitAccountForm(action) {
+        const { accountForm, accountEmail, accountPassword, accountStatus } = this.elements;
+        if (!accountForm.reportValidity()) return;
+
+        const email = accountEmail.value.trim();
+        accountStatus.textContent = action === 'magic' ? 'Sending…' : 'Signing in…';
+
+        try {
+            if (action === 'magic') {
+                const result = await this.postAuth('/api/auth/magic-link', { email });
+                accountStatus.textContent = `${result.message} Open it in this browser to sign in.`;
+                return;
+            }
+
+            const result = await this.postAuth(`/api/auth/${action}`, { email, password: accountPassword.value });
+            accountPassword.value = '';
+            this.completeSignIn(result);
+        } catch (error) {
+            accountStatus.textContent = error.message;
+        }
+    }
+
+    /**
+     * POST to an /api/auth endpoint; resolves with the reply or rejects with its message
+     */
+    async postAuth(path, body) {
+        const response = await fetch(`${this.apiBaseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || `Couldn't sign in right now (HTTP ${response.status})`);
+        }
+        return result;
+    }
+
+    /**
+     * Keep a new auth token and reconnect so the socket carries it
+     */
+    completeSignIn({ authToken, account }, { reconnect = true } = {}) {
+        this.saveAuthToken(authToken);
+        this.setAccount(account);
+        this.applyAccountSettings(account.settings);
+        this.elements.accountStatus.textContent = '';
+        console.log('👤 Signed in');
+
+        if (reconnect) {
+            this.restartConnection();
+        }
+    }
+
+    /**
+     * Back to guest mode; the account's conversation stays with the account
+     */
+    signOut() {
+        this.saveAuthToken(null);
+        this.setAccount(null);
+
+        try {
+            this.writeToken(this.sessionTokenKey, null);
+        } catch (error) {
+            console.warn('⚠️  Could not forget session:', error.message);
+        }
+        this.sessionId = null;
+        [...this.elements.conversation.children].slice(1).forEach(element => element.remove());
+
+        console.log('👤 Signed out');
+        this.restartConnection();
+    }
+
+    /**
+     * Show who is signed in (account is null for guests)
+     */
+    setAccount(account) {
+        this.account = account;
+
+        const { accountButton, accountForm, accountSignedIn, accountEmailLabel } = this.elements;
+        accountButton.textContent = account ? `👤 ${account.email}` : '👤 Sign in';
+        accountForm.hidden = !!account;
+        accountSignedIn.hidden = !account;
+        accountEmailLabel.textContent = account ? account.email : '';
+    }
+
+    /**
+     * Use the voice, language and persona saved with the account (without sending them back)
+     */
+    applyAccountSettings(settings) {
+        if (settings.voiceGender) {
+            this.setVoice(settings.voiceGender, { notify: false });
+        }
+        if (settings.language) {
+            this.setLanguage(settings.language, { notify: false });
+        }
+        if (settings.persona && this.personas[settings.persona]) {
+            this.setPersona(settings.persona, { notify: false });
+        }
+    }
+
+    /**
+     * Show or hide the account panel
+     */
+    toggleAccountPanel() {
+        const panel = this.elements.accountPanel;
+        panel.hidden = !panel.hidden;
+        this.elements.accountButton.setAttribute('aria-expanded', String(!panel.hidden));
+
+        if (!panel.hidden && !this.account) {
+            this.elements.accountEmail.focus();
+        }
+    }
+
+    /**
+     * Drop the current socket and connect again at once (after signing in or out)
+     */
+    restartConnection() {
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+        }
+
+        this.handshakeComplete = false;
+        this.pendingReplyId = null;
+        this.flushingId = null;
+        this.stopKeepAlive();
+        this.reconnectNow();
+    }
+
+    /**
+     * Saved auth token, if signed in
+     */
+    loadAuthToken() {
+        return this.readToken(this.authTokenKey);
+    }
+
+    /**
+     * Headers for the session HTTP endpoints; an account's sessions also need its auth token
+     */
+    sessionHeaders(sessionToken) {
+        const authToken = this.loadAuthToken();
+        return authToken
+            ? { Authorization: `Bearer ${sessionToken}`, 'X-Auth-Token': authToken }
+            : { Authorization: `Bearer ${sessionToken}` };
+    }
+
+    /**
+     * Remember (or with null, forget) the auth token
+     */
+    saveAuthToken(authToken) {
+        try {
+            this.writeToken(this.authTokenKey, authToken);
+        } catch (error) {
+            console.warn('⚠️  Could not save sign-in:', error.message);
+        }
+    }
+
+    /**
+     * A saved token, or null; an untrusted backend only sees the tokens it issued
+     * during this visit (see loadClientConfig)
+     */
+    readToken(key) {
+        if (!this.trustedBackend) {
+            return this.visitTokens.get(key) || null;
+        }
+
+        try {
+            return localStorage.getItem(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save (or with null, forget) a token; throws when localStorage refuses
+     */
+    writeToken(key, token) {
+        if (!this.trustedBackend) {
+            if (token) {
+                this.visitTokens.set(key, token);
+            } else {
+                this.visitTokens.delete(key);
+            }
+        } else if (token) {
+            localStorage.setItem(key, token);
+        } else {
+            localStorage.removeItem(key);
+        }
+    }
+
+    /**
+     * Handle AI response from server
+     */
+    handleAIResponse(data) {
+        const { text, source, latency } = data;
+
+        // Update stats
+        this.updateResponseStats(source, latency);
+        this.noteReplyLanguage(data.language);
+        this.applyMood(data.mood);
+        this.handleCheckInSaved(data.checkIn);
+
+        // Add AI message to conversation
+        this.addMessage(text, 'ai');
+
+        // Speak the response
+        this.speak(text);
+    }
+
+    /**
+     * Handle a crisis escalation from the server
+     * Shown with distinct styling and never streamed or cut short
+     */
+    handleSafetyAlert(data) {
+        this.streamingResponse = null;
+        this.updateResponseStats('safety', data.latency);
+        this.noteReplyLanguage(data.language);
+        this.applyMood(data.mood);
+        this.handleCheckInSaved(data.checkIn);
+
+        const element = this.addMessage(data.text, 'ai');
+        element.closest('.message').classList.add('safety-message');
+
+        this.speak(data.text);
+    }
+
+    /**
+     * Tell the user to slow down until the server accepts messages again
+     */
+    handleRateLimited(data) {
+        const seconds = Math.max(1, Math.ceil(data.retryAfter / 1000));
+        console.warn(`🚦 Rate limited (${data.reason}), retry in ${seconds}s`);
+        this.elements.ballStatus.textContent = `${data.message} Try again in ${seconds}s.`;
+
+        clearTimeout(this.rateLimitTimer);
+        this.rateLimitTimer = setTimeout(() => {
+            if (!this.isListening && !this.isSpeaking) {
+                this.elements.ballStatus.textContent = 'Click me to talk!';
+            }
+        }, data.retryAfter);
+    }
+
+    /**
+     * Start rendering a streamed AI response
+     */
+    handleResponseStart(data) {
+        this.noteReplyLanguage(data.language);
+        this.applyMood(data.mood);
+        this.synthesis.cancel();
+        this.pendingUtterances = 0;
+        this.streamingResponse = {
+            requestId: data.requestId,
+            element: this.addMessage('', 'ai'),
+            text: '',
+            spokenLength: 0,
+        };
+    }
+
+    /**
+     * Append a streamed chunk and speak every sentence completed so far
+     */
+    handleResponseChunk(data) {
+        if (!this.streamingResponse || this.streamingResponse.requestId !== data.requestId) {
+            this.handleResponseStart(data);
+        }
+
+        const stream = this.streamingResponse;
+        stream.text += data.text;
+        stream.element.textContent = stream.text;
+        this.scrollConversation();
+
+        // Speak complete sentences as soon as they arrive
+        const pending = stream.text.slice(stream.spokenLength);
+        const sentences = pending.match(/[^.!?]*[.!?]+(\s+|$)/g);
+        if (sentences) {
+            const complete = sentences.join('');
+            this.speak(complete.trim(), { queue: true });
+            stream.spokenLength += complete.length;
+        }
+    }
+
+    /**
+     * Finish a streamed response with the server's final text and stats
+     */
+    handleResponseEnd(data) {
+        const stream = this.streamingResponse;
+        this.streamingResponse = null;
+        this.updateResponseStats(data.source, data.latency, data.firstChunkLatency);
+
+        if (!stream) {
+            this.handleAIResponse(data);
+            return;
+        }
+        this.handleCheckInSaved(data.checkIn);
+
+        const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+        if (normalize(stream.text) === normalize(data.text)) {
+            // Speak whatever is left after the last full sentence
+            const rest = stream.text.slice(stream.spokenLength).trim();
+            if (rest) {
+                this.speak(rest, { queue: true });
+            }
+        } else {
+            // Server replaced the streamed text (e.g. fallback after an error)
+            this.speak(data.text);
+        }
+        stream.element.textContent = data.text;
+    }
+
+    /**
+     * Update latency and source stats
+     */
+    updateResponseStats(source, latency, firstChunkLatency = null) {
+        this.elements.latencyValue.textContent = firstChunkLatency !== null && firstChunkLatency !== undefined
+            ? `${firstChunkLatency}ms / ${latency}ms`
+            : `${latency}ms`;
+
+        // The source comes from the server: only http(s) URLs become links, and never as HTML
+        if (source && /^https?:\/\//i.test(source)) {
+            const link = document.createElement('a');
+            link.href = source;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.style.color = 'inherit';
+            link.style.textDecoration = 'underline';
+            link.textContent = source.split('/')[2] || 'Source';
+            this.elements.sourceValue.replaceChildren(link);
+        } else {
+            this.elements.sourceValue.textContent = source;
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Ball click (replaces microphone button)
+        this.elements.aiBall.addEventListener('click', () => {
+            this.toggleListening();
+        });
+
+        // Send button
+        this.elements.sendButton.addEventListener('click', () => {
+            this.sendTextMessage();
+        });
+
+        // Text input (Enter key)
         this.elements.textInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 this.sendTextMessage();
@@ -346,6 +1548,305 @@ class VoiceAIFriend {
                 this.setVoice(gender);
             });
         });
+
+        // Language selector
+        this.elements.languageSelect.addEventListener('change', () => {
+            this.setLanguage(this.elements.languageSelect.value);
+        });
+
+        // Persona selector (picking a persona also switches to its default voice)
+        this.elements.personaSelect.addEventListener('change', () => {
+            this.setPersona(this.elements.personaSelect.value, { applyVoice: true });
+        });
+
+        // Network back: reconnect now instead of waiting for the next attempt
+        window.addEventListener('online', () => {
+            this.reconnectNow();
+        });
+
+        // Manual retry while disconnected
+        this.elements.retryButton.addEventListener('click', () => {
+            this.reconnectNow();
+        });
+
+        // Hands-free toggle
+        this.elements.handsFreeButton.addEventListener('click', () => {
+            this.setHandsFree(!this.handsFree);
+        });
+
+        // Mood journal
+        this.elements.checkInButton.addEventListener('click', () => {
+            this.startCheckIn();
+        });
+        this.elements.moodButton.addEventListener('click', () => {
+            this.toggleMoodPanel();
+        });
+
+        // Account panel: Enter logs in, the other buttons sign up or send a magic link
+        this.elements.accountButton.addEventListener('click', () => {
+            this.toggleAccountPanel();
+        });
+        this.elements.accountForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitAccountForm('login');
+        });
+        this.elements.accountForm.querySelectorAll('button[type="button"]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.submitAccountForm(btn.dataset.action);
+            });
+        });
+        this.elements.signOutButton.addEventListener('click', () => {
+            this.signOut();
+        });
+
+        // Conversation export (the selector snaps back to its label) and import
+        this.elements.exportFormat.addEventListener('change', () => {
+            const format = this.elements.exportFormat.value;
+            this.elements.exportFormat.value = '';
+            if (format) {
+                this.exportConversation(format);
+            }
+        });
+        this.elements.importButton.addEventListener('click', () => {
+            this.elements.importFile.click();
+        });
+        this.elements.importFile.addEventListener('change', () => {
+            const [file] = this.elements.importFile.files;
+            this.elements.importFile.value = '';
+            if (file) {
+                this.importConversation(file);
+            }
+        });
+    }
+
+    /**
+     * Ask the server for today's check-in question
+     */
+    startCheckIn() {
+        if (!this.isReady()) {
+            this.elements.ballStatus.textContent = 'Still connecting. Try again in a moment.';
+            return;
+        }
+
+        this.sendMessage('check_in_start', { timeZone: this.getTimeZone() });
+    }
+
+    /**
+     * Speak the check-in question, then listen for the answer (typing works too)
+     */
+    handleCheckInPrompt(data) {
+        this.addMessage(data.text, 'ai');
+        this.listenAfterSpeech = !!this.recognition;
+        this.speak(data.text);
+    }
+
+    /**
+     * A reply confirmed the check-in was saved
+     */
+    handleCheckInSaved(checkIn) {
+        if (!checkIn) return;
+
+        console.log(`🌤️ Check-in saved for ${checkIn.date}: ${checkIn.emotion}`);
+        if (!this.elements.moodPanel.hidden) {
+            this.loadMoodJournal();
+        }
+    }
+
+    /**
+     * Show or hide the mood journal panel
+     */
+    toggleMoodPanel() {
+        const panel = this.elements.moodPanel;
+        panel.hidden = !panel.hidden;
+        this.elements.moodButton.setAttribute('aria-expanded', String(!panel.hidden));
+
+        if (!panel.hidden) {
+            this.loadMoodJournal();
+        }
+    }
+
+    /**
+     * Fetch the last 30 days of mood entries for this session and draw them
+     */
+    async loadMoodJournal() {
+        const token = this.loadSessionToken();
+        if (!token) {
+            this.elements.moodTopics.textContent = 'Talk to me for a bit and your mood will show up here.';
+            return;
+        }
+
+        try {
+            const query = new URLSearchParams({ timeZone: this.getTimeZone() });
+            const response = await fetch(`${this.apiBaseUrl}/api/mood?${query}`, {
+                headers: this.sessionHeaders(token),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.renderMoodChart(await response.json());
+        } catch (error) {
+            console.error('❌ Error loading mood journal:', error);
+            this.elements.moodTopics.textContent = 'Couldn\'t load your mood journal right now.';
+        }
+    }
+
+    /**
+     * Draw daily average valence (-1 low to 1 upbeat), one dot per day colored by
+     * its dominant emotion; check-in days get a bigger dot
+     */
+    renderMoodChart(data) {
+        const canvas = this.elements.moodChart;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = 24;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Every day in the range gets a slot so quiet days show as gaps
+        const dates = [];
+        for (let time = Date.parse(data.from); time <= Date.parse(data.to); time += 86400000) {
+            dates.push(new Date(time).toISOString().slice(0, 10));
+        }
+        const days = new Map(data.days.map(day => [day.date, day]));
+        const x = (i) => padding + i * (width - 2 * padding) / Math.max(1, dates.length - 1);
+        const y = (valence) => height / 2 - valence * (height / 2 - padding);
+
+        // Neutral baseline and labels
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, y(0));
+        ctx.lineTo(width - padding, y(0));
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText('upbeat', padding, padding - 8);
+        ctx.fillText('low', padding, height - 8);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${data.from} – ${data.to}`, width - padding, height - 8);
+
+        // Line through the days that have entries
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let started = false;
+        dates.forEach((date, i) => {
+            const day = days.get(date);
+            if (!day) return;
+
+            if (started) {
+                ctx.lineTo(x(i), y(day.averageValence));
+            } else {
+                ctx.moveTo(x(i), y(day.averageValence));
+                started = true;
+            }
+        });
+        ctx.stroke();
+
+        dates.forEach((date, i) => {
+            const day = days.get(date);
+            if (!day) return;
+
+            const style = MOOD_STYLES[day.dominantEmotion] || MOOD_STYLES.neutral;
+            ctx.fillStyle = `rgb(${style.color.join(', ')})`;
+            ctx.beginPath();
+            ctx.arc(x(i), y(day.averageValence), day.checkIn ? 7 : 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        if (data.topics.length > 0) {
+            this.elements.moodTopics.textContent = 'Most talked about: ' +
+                data.topics.map(({ topic, count }) => `${topic} (${count})`).join(' · ');
+        } else {
+            this.elements.moodTopics.textContent = data.days.length > 0
+                ? 'No recurring topics yet.'
+                : 'No entries yet. Try a daily check-in!';
+        }
+    }
+
+    /**
+     * The browser's IANA time zone, so "today" matches the user's calendar
+     */
+    getTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Download this session's transcript as json, markdown or text
+     */
+    async exportConversation(format) {
+        const token = this.loadSessionToken();
+        if (!token || !this.sessionId) {
+            this.elements.ballStatus.textContent = 'Nothing to export yet.';
+            return;
+        }
+
+        try {
+            const query = new URLSearchParams({ format, timeZone: this.getTimeZone() });
+            const response = await fetch(`${this.apiBaseUrl}/api/sessions/${this.sessionId}/export?${query}`, {
+                headers: this.sessionHeaders(token),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            // Save under the file name the server picked
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const [, filename] = disposition.match(/filename="([^"]+)"/) || [];
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = filename || `voice-ai-friend-${format}.txt`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('❌ Error exporting conversation:', error);
+            this.elements.ballStatus.textContent = 'Couldn\'t export the conversation right now.';
+        }
+    }
+
+    /**
+     * Continue a conversation from a JSON export: the server starts a new session
+     * holding its history, and this page switches to it
+     */
+    async importConversation(file) {
+        let transcript;
+        try {
+            transcript = JSON.parse(await file.text());
+        } catch (error) {
+            this.elements.ballStatus.textContent = 'That file isn\'t a JSON export.';
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/sessions/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(transcript),
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.elements.ballStatus.textContent = result.message || 'Couldn\'t import that file.';
+                return;
+            }
+
+            // Keep the welcome message, then resume the imported session (now, or on reconnect)
+            [...this.elements.conversation.children].slice(1).forEach(element => element.remove());
+            this.writeToken(this.sessionTokenKey, result.sessionToken);
+            if (this.isReady()) {
+                this.sendMessage('resume_session', { sessionToken: result.sessionToken });
+            }
+            console.log(`📂 Imported ${result.turns} messages`);
+        } catch (error) {
+            console.error('❌ Error importing conversation:', error);
+            this.elements.ballStatus.textContent = 'Couldn\'t import the conversation right now.';
+        }
     }
 
     /**
@@ -357,20 +1858,96 @@ class VoiceAIFriend {
             return;
         }
 
+        // Hands-free: clicking while the AI talks interrupts it and keeps the microphone open
+        if (this.handsFree && this.isListening && (this.isSpeaking || this.pendingReplyId)) {
+            this.bargeIn();
+            return;
+        }
+
         if (this.isListening) {
+            this.keepListening = false;
             this.recognition.stop();
         } else {
             // Stop any ongoing speech
-            this.synthesis.cancel();
-            this.isSpeaking = false;
-            this.elements.aiBall.classList.remove('speaking');
+            this.stopSpeaking();
+            this.startListening();
+        }
+    }
 
-            // Start listening
-            try {
-                this.recognition.start();
-            } catch (error) {
-                console.error('❌ Error starting recognition:', error);
-            }
+    /**
+     * Start recognition (kept open in hands-free mode)
+     */
+    startListening() {
+        this.keepListening = this.handsFree;
+        try {
+            this.recognition.start();
+        } catch (error) {
+            console.error('❌ Error starting recognition:', error);
+        }
+    }
+
+    /**
+     * Stop speaking immediately
+     */
+    stopSpeaking() {
+        this.synthesis.cancel();
+        this.pendingUtterances = 0;
+        this.isSpeaking = false;
+        this.elements.aiBall.classList.remove('speaking');
+    }
+
+    /**
+     * The user talked over the AI: stop speaking and tell the server to abandon
+     * the reply it is still working on
+     */
+    bargeIn() {
+        this.stopSpeaking();
+        this.streamingResponse = null;
+        this.listenAfterSpeech = false;
+
+        if (this.pendingReplyId) {
+            console.log('✋ Barge-in, cancelling reply');
+            this.cancelledRequests.add(this.pendingReplyId);
+            this.pendingReplyId = null;
+            this.sendMessage('cancel_response');
+        }
+    }
+
+    /**
+     * Switch hands-free mode and remember the choice
+     * Turning it on opens the microphone unless listen is false
+     */
+    setHandsFree(enabled, { listen = true } = {}) {
+        this.handsFree = enabled;
+        this.elements.handsFreeButton.setAttribute('aria-pressed', String(enabled));
+
+        try {
+            localStorage.setItem(this.handsFreeKey, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.warn('⚠️  Could not save hands-free mode:', error.message);
+        }
+
+        if (!this.recognition) return;
+
+        this.recognition.continuous = enabled;
+        this.recognition.interimResults = enabled;
+        if (this.isListening) {
+            // Settings apply from the next start; onend reopens it in hands-free mode
+            this.keepListening = enabled;
+            this.recognition.stop();
+        } else if (enabled && listen) {
+            this.startListening();
+        }
+    }
+
+    /**
+     * Hands-free mode chosen on an earlier visit
+     */
+    loadHandsFree() {
+        try {
+            return localStorage.getItem(this.handsFreeKey) === 'on';
+        } catch (error) {
+            return false;
         }
     }
 
@@ -392,23 +1969,189 @@ class VoiceAIFriend {
     handleUserInput(text) {
         console.log('💬 User input:', text);
 
+        if (text.length > this.maxMessageLength) {
+            this.elements.ballStatus.textContent = `Please keep it under ${this.maxMessageLength} characters`;
+            return;
+        }
+
         // Add user message to conversation
         this.addMessage(text, 'user');
 
-        // Send to server
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'user_message',
-                text: text,
-            }));
+        // Offline: answer locally and send it once reconnected
+        if (!this.isReady()) {
+            console.warn('⚠️  WebSocket not connected, answering offline');
+            this.answerOffline(text);
+            return;
+        }
 
+        // Queued messages go first so the server sees them in order
+        if (this.outbox.length > 0) {
+            this.queueMessage(text, false);
+            this.flushOutbox();
+            this.elements.ballStatus.textContent = 'Thinking...';
+            return;
+        }
+
+        // Send to server
+        const requestId = this.sendMessage('user_message', { text });
+        if (requestId) {
+            this.pendingReplyId = requestId;
             this.elements.ballStatus.textContent = 'Thinking...';
-        } else {
-            console.error('❌ WebSocket not connected');
-            this.elements.ballStatus.textContent = 'Not connected';
         }
     }
 
+    /**
+     * Reply from the offline responder (when a dataset index was ever loaded) and
+     * queue the message for the server
+     */
+    answerOffline(text) {
+        const startTime = performance.now();
+        const language = this.language === 'auto' ? this.replyLanguage || undefined : this.language;
+        const reply = this.offlineResponder ? this.offlineResponder.respond(text, language) : null;
+
+        this.queueMessage(text, !!reply);
+
+        if (!reply) {
+            this.elements.ballStatus.textContent = 'Offline. I\'ll send this when we\'re back online.';
+            return;
+        }
+
+        this.updateResponseStats(reply.source, Math.round(performance.now() - startTime));
+        const element = this.addMessage(reply.text, 'ai');
+        // Crisis replies look the same online and offline
+        element.closest('.message').classList.add(reply.source === 'safety' ? 'safety-message' : 'offline-message');
+        this.speak(reply.text);
+    }
+
+    /**
+     * Add a message to the outbox (the oldest are dropped beyond maxOutbox)
+     */
+    queueMessage(text, answered) {
+        this.outbox.push({ text, answered });
+        this.outbox = this.outbox.slice(-this.maxOutbox);
+        this.saveOutbox();
+    }
+
+    /**
+     * Send the oldest queued message once connected and no reply is pending
+     * It leaves the outbox when its reply arrives (see finishFlush)
+     */
+    flushOutbox() {
+        if (this.outbox.length === 0 || this.flushingId || this.pendingReplyId || this.pendingSession || !this.isReady()) {
+            return;
+        }
+
+        const [message] = this.outbox;
+        const requestId = this.sendMessage('user_message', { text: message.text });
+        if (!requestId) return;
+
+        this.flushingId = requestId;
+        this.pendingReplyId = requestId;
+        if (message.answered) {
+            this.replayedRequests.add(requestId);
+        }
+        console.log(`📤 Sending queued message (${this.outbox.length} queued)`);
+    }
+
+    /**
+     * A queued message got its final reply: drop it (a rate-limited one is retried
+     * later) and send the next
+     */
+    finishFlush(data) {
+        this.flushingId = null;
+
+        const retryAfter = data.type === 'rate_limited' ? data.retryAfter : 0;
+        if (!retryAfter) {
+            this.outbox.shift();
+            this.saveOutbox();
+        }
+        setTimeout(() => this.flushOutbox(), retryAfter);
+    }
+
+    /**
+     * Persist the outbox so queued messages survive a reload
+     */
+    saveOutbox() {
+        try {
+            localStorage.setItem(this.outboxKey, JSON.stringify(this.outbox));
+        } catch (error) {
+            console.warn('⚠️  Could not save queued messages:', error.message);
+        }
+    }
+
+    /**
+     * Messages still queued from an earlier visit
+     */
+    loadOutbox() {
+        try {
+            const outbox = JSON.parse(localStorage.getItem(this.outboxKey));
+            return Array.isArray(outbox) ? outbox : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Cache the app shell for offline use (needs HTTPS or localhost)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('service-worker.js')
+            .then(() => console.log('📦 Service worker registered'))
+            .catch(error => console.warn('⚠️  Service worker registration failed:', error.message));
+    }
+
+    /**
+     * Build the offline responder from the last saved dataset index, then refresh it
+     * from the server
+     */
+    async loadOfflineResponder() {
+        try {
+            const saved = localStorage.getItem(this.datasetIndexKey);
+            if (saved) {
+                this.offlineResponder = new OfflineResponder(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('⚠️  Ignoring saved dataset index:', error.message);
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/dataset-index`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const body = await response.text();
+            this.offlineResponder = new OfflineResponder(JSON.parse(body));
+            localStorage.setItem(this.datasetIndexKey, body);
+            console.log('📚 Offline dataset index ready');
+        } catch (error) {
+            console.warn('⚠️  Could not refresh the offline dataset index:', error.message);
+        }
+    }
+
+    /**
+     * Tint the ball and visualizer and tune the voice to the session mood
+     * Stronger moods move further from the neutral white glow and normal speech
+     */
+    applyMood(mood) {
+        if (!mood) return;
+
+        const style = MOOD_STYLES[mood.emotion] || MOOD_STYLES.neutral;
+        const strength = mood.emotion === 'neutral' ? 0 : 0.3 + 0.7 * mood.intensity;
+        const rgb = style.color.map(channel => Math.round(255 + (channel - 255) * strength));
+
+        document.documentElement.style.setProperty('--mood-rgb', rgb.join(', '));
+        this.elements.aiBall.dataset.mood = mood.emotion;
+        this.moodColor = strength > 0 ? `rgb(${rgb.join(', ')})` : null;
+
+        this.voiceTuning = {
+            rate: 1 + (style.rate - 1) * strength,
+            pitch: 1 + (style.pitch - 1) * strength,
+        };
+    }
+
     /**
      * Add message to conversation
      */
@@ -431,20 +2174,34 @@ class VoiceAIFriend {
         messageDiv.appendChild(content);
 
         this.elements.conversation.appendChild(messageDiv);
+        this.scrollConversation();
 
-        // Scroll to bottom
+        return p;
+    }
+
+    /**
+     * Scroll conversation to the latest message
+     */
+    scrollConversation() {
         this.elements.conversation.parentElement.scrollTop =
             this.elements.conversation.parentElement.scrollHeight;
     }
 
     /**
      * Speak text using TTS
+     * With queue: true the text plays after current speech instead of replacing it
      */
-    speak(text) {
-        // Cancel any ongoing speech
-        this.synthesis.cancel();
+    speak(text, { queue = false } = {}) {
+        if (!queue) {
+            // Cancel any ongoing speech
+            this.synthesis.cancel();
+            this.pendingUtterances = 0;
+        }
+        this.pendingUtterances++;
+        this.spokenText = queue ? `${this.spokenText} ${text}` : text;
 
         const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = this.getLocale();
 
         // Select voice based on gender preference
         const voice = this.selectVoice(this.voiceGender);
@@ -452,48 +2209,91 @@ class VoiceAIFriend {
             utterance.voice = voice;
         }
 
-        utterance.rate = 1.0;
-        utterance.pitch = 1.0;
+        utterance.rate = this.voiceTuning.rate * this.personaTuning.rate;
+        utterance.pitch = this.voiceTuning.pitch * this.personaTuning.pitch;
         utterance.volume = 1.0;
 
         utterance.onstart = () => {
             console.log('🔊 Speaking...');
             this.isSpeaking = true;
+            this.speechEnvelope = 1;
             this.elements.aiBall.classList.add('speaking');
             this.elements.ballStatus.textContent = 'Speaking...';
         };
 
+        // Each spoken word lifts the visualizer's speech envelope
+        utterance.onboundary = () => {
+            this.speechEnvelope = 1;
+        };
+
         utterance.onend = () => {
             console.log('🔇 Finished speaking');
-            this.isSpeaking = false;
-            this.elements.aiBall.classList.remove('speaking');
-            this.elements.ballStatus.textContent = 'Click me to talk!';
+            this.finishUtterance();
         };
 
         utterance.onerror = (error) => {
             console.error('❌ Speech synthesis error:', error);
-            this.isSpeaking = false;
-            this.elements.aiBall.classList.remove('speaking');
-            this.elements.ballStatus.textContent = 'Click me to talk!';
+            this.finishUtterance();
         };
 
         this.synthesis.speak(utterance);
     }
 
     /**
-     * Select appropriate voice based on gender
+     * Reset speaking state once the last queued utterance is done
+     */
+    finishUtterance() {
+        this.pendingUtterances = Math.max(0, this.pendingUtterances - 1);
+        if (this.pendingUtterances > 0) return;
+
+        this.isSpeaking = false;
+        this.speechEndedAt = Date.now();
+        this.elements.aiBall.classList.remove('speaking');
+        this.elements.ballStatus.textContent = this.isListening ? 'Listening...' : 'Click me to talk!';
+
+        // Check-in question finished: hear the answer hands-free
+        if (this.listenAfterSpeech) {
+            this.listenAfterSpeech = false;
+            if (!this.isListening) {
+                this.toggleListening();
+            }
+        }
+    }
+
+    /**
+     * Select appropriate voice based on locale, then gender
      */
     selectVoice(gender) {
         if (this.voices.length === 0) {
             return null;
         }
 
+        // Voices for the conversation locale (exact region first), else any voice
+        const locale = this.getLocale().toLowerCase();
+        const language = locale.split('-')[0];
+        const voiceLocale = (v) => v.lang.replace('_', '-').toLowerCase();
+        const localeVoices = [
+            ...this.voices.filter(v => voiceLocale(v) === locale),
+            ...this.voices.filter(v => voiceLocale(v) !== locale && voiceLocale(v).split('-')[0] === language),
+        ];
+        let candidates = localeVoices.length > 0 ? localeVoices : this.voices;
+
+        // Premium voices (when the server enables them): cloud and neural voices sound
+        // more natural, so they go first
+        if (this.clientConfig && this.clientConfig.voice.premium) {
+            const isPremium = (v) => !v.localService || /natural|neural|premium|enhanced|google/i.test(v.name);
+            const premium = candidates.filter(isPremium);
+            if (premium.length > 0) {
+                candidates = [...premium, ...candidates.filter(v => !isPremium(v))];
+            }
+        }
+
         // Try to find a voice matching the gender preference
         let voice = null;
 
         if (gender === 'female') {
             // Prefer female voices
-            voice = this.voices.find(v =>
+            voice = candidates.find(v =>
                 v.name.toLowerCase().includes('female') ||
                 v.name.toLowerCase().includes('woman') ||
                 v.name.includes('Zira') ||
@@ -501,7 +2301,7 @@ class VoiceAIFriend {
             );
         } else {
             // Prefer male voices
-            voice = this.voices.find(v =>
+            voice = candidates.find(v =>
                 v.name.toLowerCase().includes('male') ||
                 v.name.toLowerCase().includes('man') ||
                 v.name.includes('David') ||
@@ -510,13 +2310,13 @@ class VoiceAIFriend {
         }
 
         // Fallback to first available voice
-        return voice || this.voices[0];
+        return voice || candidates[0];
     }
 
     /**
      * Set voice gender preference
      */
-    setVoice(gender) {
+    setVoice(gender, { notify = true } = {}) {
         this.voiceGender = gender;
 
         // Update UI
@@ -529,16 +2329,161 @@ class VoiceAIFriend {
         });
 
         // Notify server
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'voice_config',
-                gender: gender,
-            }));
+        if (notify) {
+            this.sendMessage('voice_config', { gender });
         }
 
         console.log('🎤 Voice set to:', gender);
     }
 
+    /**
+     * Offer the server's personas in the selector
+     */
+    setPersonas(personas) {
+        const select = this.elements.personaSelect;
+        select.replaceChildren();
+
+        this.personas = {};
+        personas.forEach(persona => {
+            this.personas[persona.id] = persona;
+            const option = new Option(persona.name, persona.id);
+            option.title = persona.description;
+            select.add(option);
+        });
+
+        // A stored choice the server no longer offers falls back to its default persona
+        if (!this.personas[this.persona]) {
+            const fallback = personas.find(persona => persona.default) || personas[0];
+            this.persona = fallback ? fallback.id : null;
+        }
+        if (this.persona) {
+            this.setPersona(this.persona, { notify: false });
+        }
+    }
+
+    /**
+     * Switch persona; applyVoice also adopts its default voice gender
+     * (rate and pitch always follow the persona)
+     */
+    setPersona(id, { notify = true, applyVoice = false } = {}) {
+        const persona = this.personas[id];
+        if (!persona) return;
+
+        this.persona = id;
+        this.elements.personaSelect.value = id;
+        this.personaTuning = { rate: persona.voice.rate, pitch: persona.voice.pitch };
+
+        try {
+            localStorage.setItem(this.personaKey, id);
+        } catch (error) {
+            console.warn('⚠️  Could not save persona:', error.message);
+        }
+
+        if (applyVoice) {
+            this.setVoice(persona.voice.gender);
+        }
+
+        // Notify server
+        if (notify) {
+            this.sendMessage('persona_config', { persona: id });
+        }
+
+        console.log('🎭 Persona set to:', persona.name);
+    }
+
+    /**
+     * Persona chosen on an earlier visit
+     */
+    loadPersona() {
+        try {
+            return localStorage.getItem(this.personaKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Offer the server's languages in the selector
+     */
+    setLanguages(languages) {
+        const select = this.elements.languageSelect;
+        select.querySelectorAll('option:not([value="auto"])').forEach(option => option.remove());
+
+        this.locales = {};
+        languages.forEach(({ code, name, locale }) => {
+            this.locales[code] = locale;
+            select.add(new Option(name, code));
+        });
+
+        // A stored choice the server no longer offers falls back to auto
+        if (this.language !== 'auto' && !this.locales[this.language]) {
+            this.language = 'auto';
+        }
+        select.value = this.language;
+        this.applyLocale();
+    }
+
+    /**
+     * Set the conversation language ('auto' or a language code) and remember it
+     */
+    setLanguage(language, { notify = true } = {}) {
+        this.language = language;
+        this.elements.languageSelect.value = language;
+        this.applyLocale();
+
+        try {
+            localStorage.setItem(this.languageKey, language);
+        } catch (error) {
+            console.warn('⚠️  Could not save language:', error.message);
+        }
+
+        // Notify server
+        if (notify) {
+            this.sendMessage('language_config', { language });
+        }
+
+        console.log('🌐 Language set to:', language);
+    }
+
+    /**
+     * Language chosen on an earlier visit
+     */
+    loadLanguage() {
+        try {
+            return localStorage.getItem(this.languageKey) || 'auto';
+        } catch (error) {
+            return 'auto';
+        }
+    }
+
+    /**
+     * Follow the language the server answered in (matters in 'auto' mode)
+     */
+    noteReplyLanguage(language) {
+        if (!language || language === this.replyLanguage) return;
+
+        this.replyLanguage = language;
+        this.applyLocale();
+    }
+
+    /**
+     * Locale for recognition and TTS: the chosen language, or in 'auto' mode the
+     * language of the latest reply (the browser's own language before the first one)
+     */
+    getLocale() {
+        const language = this.language === 'auto' ? this.replyLanguage : this.language;
+        return this.locales[language] || navigator.language || 'en-US';
+    }
+
+    /**
+     * Point speech recognition at the current locale
+     */
+    applyLocale() {
+        if (this.recognition) {
+            this.recognition.lang = this.getLocale();
+        }
+    }
+
     /**
      * Update connection status
      */
@@ -0,0 +1,291 @@
+const config = require('./config');
+const aiPipeline = require('./ai-pipeline');
+const datasetLoader = require('./dataset-loader');
+const personaRegistry = require('./persona-registry');
+const sessionStore = require('./session-store');
+const emotionClassifier = require('./emotion-classifier');
+const moodJournal = require('./mood-journal');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const { TokenBucket, RateLimiter } = require('./rate-limiter');
+const { ERROR_CODES } = require('./protocol');
+
+/**
+ * Chat Handler - Answers one user message for every transport (WebSocket, HTTP, SSE)
+ * Replies are protocol messages ({ type, payload }), so transports only deliver them
+ *
+ * A channel is the per-client state limits apply to:
+ * { session, clientIp, rateBucket, inFlight, log, pendingCheckIn, abortController } - one per
+ * WebSocket connection, and one per session for HTTP clients; log carries the channel's
+ * correlation fields, pendingCheckIn ({ timeZone }) marks the next message as a daily check-in
+ * answer and abortController cancels the reply being generated (see cancelResponse)
+ */
+
+// Shared across every socket and HTTP request from the same client IP
+const ipLimiter = new RateLimiter(config.rateLimit.perIp);
+
+// HTTP requests have no connection to hang limits on, so they share one channel per session
+const httpChannels = new Map();
+
+setInterval(() => {
+    ipLimiter.prune();
+    httpChannels.forEach((channel, sessionId) => {
+        if (channel.inFlight === 0 && channel.rateBucket.isFull()) {
+            httpChannels.delete(sessionId);
+        }
+    });
+}, 60000).unref();
+
+/**
+ * New channel with a fresh per-connection bucket
+ */
+function createChannel(session, clientIp, log = logger) {
+    return {
+        session,
+        clientIp,
+        log,
+        rateBucket: new TokenBucket(
+            config.rateLimit.perConnection.capacity,
+            config.rateLimit.perConnection.refillPerSecond
+        ),
+        inFlight: 0,
+        pendingCheckIn: null,
+        abortController: null,
+    };
+}
+
+/**
+ * Channel for an HTTP request, reused by later requests of the same session
+ */
+function getHttpChannel(session, clientIp) {
+    let channel = httpChannels.get(session.id);
+    if (!channel) {
+        channel = createChannel(session, clientIp, logger.child({ sessionId: session.id, transport: 'http' }));
+        httpChannels.set(session.id, channel);
+    }
+    channel.clientIp = clientIp;
+    return channel;
+}
+
+/**
+ * Check concurrency, per-channel and per-IP limits for a user message
+ * Returns null when allowed, otherwise the rate_limited payload
+ */
+function checkRateLimit(channel) {
+    if (channel.inFlight >= config.rateLimit.maxConcurrentPerConnection) {
+        return {
+            reason: 'busy',
+            retryAfter: 1000,
+            message: 'Give me a moment to answer your last message.',
+        };
+    }
+
+    const checks = [
+        ['connection', channel.rateBucket.take()],
+        ['ip', ipLimiter.consume(channel.clientIp)],
+    ];
+    for (const [reason, result] of checks) {
+        if (!result.allowed) {
+            return {
+                reason,
+                retryAfter: result.retryAfter,
+                message: 'You\'re sending messages a little fast. Let\'s slow down together.',
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Abandon the reply the channel is waiting for (barge-in, closed stream)
+ * Returns false when nothing was in flight
+ */
+function cancelResponse(channel) {
+    if (!channel.abortController) return false;
+
+    channel.abortController.abort();
+    channel.abortController = null;
+    return true;
+}
+
+/**
+ * Language to answer in: the chosen one, or with 'auto' the one the message is written in
+ * (keeping the conversation's previous language when the message doesn't tell)
+ */
+function resolveLanguage(session, text, setting) {
+    if (setting && setting !== 'auto') return setting;
+
+    const detected = datasetLoader.detectLanguage(text);
+    if (detected) return detected;
+
+    const previous = session.history.turns.filter(turn => turn.role === 'user' && turn.language).pop();
+    return previous ? previous.language : config.languages.default;
+}
+
+/**
+ * Validate, rate limit and answer a user message, recording it in the session
+ * onStream(type, payload) receives ai_response_start / ai_response_chunk while an LLM
+ * answer streams (optional). language and persona override the session's settings for this
+ * message (optional). Resolves to the final message: ai_response, ai_response_end,
+ * safety_alert, response_cancelled, rate_limited or error
+ */
+async function handleUserMessage(channel, text, { onStream = null, requestId = null, language = null, persona = null } = {}) {
+    metrics.recordMessage();
+    const log = requestId ? channel.log.child({ requestId }) : channel.log;
+
+    // Reject empty or oversized text before it reaches the pipeline
+    if (!text.trim()) {
+        return {
+            type: 'error',
+            payload: { code: ERROR_CODES.EMPTY_MESSAGE, message: 'I didn\'t catch anything. Can you say that again?' },
+        };
+    }
+    if (text.length > config.websocket.maxMessageLength) {
+        return {
+            type: 'error',
+            payload: {
+                code: ERROR_CODES.MESSAGE_TOO_LONG,
+                message: `That message is a bit long for me. Please keep it under ${config.websocket.maxMessageLength} characters.`,
+            },
+        };
+    }
+
+    // Enforce concurrency and rate limits before spending LLM tokens
+    const limit = checkRateLimit(channel);
+    if (limit) {
+        log.warn('Rate limited', { reason: limit.reason, clientIp: channel.clientIp });
+        return { type: 'rate_limited', payload: limit };
+    }
+
+    const checkIn = channel.pendingCheckIn;
+    channel.pendingCheckIn = null;
+
+    const controller = new AbortController();
+    channel.abortController = controller;
+
+    channel.inFlight++;
+    try {
+        const userInput = text.trim();
+        const { session } = channel;
+        const { voiceGender } = session.settings;
+        const replyLanguage = resolveLanguage(session, userInput, language || session.settings.language);
+        const replyPersona = personaRegistry.get(persona || session.settings.persona);
+
+        // Label the turn and update the session mood so replies (and the UI) can follow it
+        const emotion = emotionClassifier.classify(userInput);
+        const mood = emotionClassifier.getMood(session.history.turns, emotion);
+
+        log.info('User message', {
+            text: userInput,
+            language: replyLanguage,
+            persona: replyPersona.id,
+            emotion: emotion.emotion,
+            intensity: emotion.intensity,
+        });
+
+        // Generate AI response, streaming LLM output as it arrives
+        let streamStarted = false;
+        const result = await aiPipeline.generateResponse(userInput, {
+            voiceGender,
+            history: session.history,
+            log,
+            language: replyLanguage,
+            persona: replyPersona,
+            signal: controller.signal,
+            onChunk: onStream && ((chunk) => {
+                if (!streamStarted) {
+                    streamStarted = true;
+                    onStream('ai_response_start', { voiceGender, language: replyLanguage, emotion, mood });
+                }
+                onStream('ai_response_chunk', { text: chunk });
+            }),
+        });
+
+        // A cancelled reply was never heard, so only the user's side is remembered
+        const cancelled = result.source === 'cancelled';
+        if (cancelled) {
+            log.info('AI reply cancelled', { latency: result.latency });
+        } else {
+            log.info('AI reply', { source: result.source, latency: result.latency, response: result.response });
+            metrics.recordResponse(result.source, result.latency);
+        }
+
+        // Remember the exchange for follow-up turns (and future resumes)
+        sessionStore.addTurn(session, 'user', userInput, { ...emotion, language: replyLanguage });
+        if (!cancelled) {
+            sessionStore.addTurn(session, 'assistant', result.response, {
+                source: result.source,
+                latency: result.latency,
+                persona: replyPersona.id,
+            });
+        }
+
+        // Journal the label (not the text) for the mood history
+        const entry = moodJournal.record(moodJournal.ownerOf(session), {
+            kind: checkIn ? 'check-in' : 'message',
+            ...emotion,
+            topics: moodJournal.extractTopics(userInput),
+        });
+        const checkInSaved = checkIn
+            ? { date: moodJournal.dayKey(entry.timestamp, checkIn.timeZone), ...emotion }
+            : undefined;
+
+        if (cancelled) {
+            return {
+                type: 'response_cancelled',
+                payload: { emotion, mood, checkIn: checkInSaved },
+            };
+        }
+
+        // Crisis replies get their own message type so clients can surface them
+        if (result.source === 'safety') {
+            return {
+                type: 'safety_alert',
+                payload: {
+                    text: result.response,
+                    category: result.safety.category,
+                    region: result.safety.region,
+                    helpline: result.safety.helpline,
+                    latency: result.latency,
+                    voiceGender,
+                    // The escalation is written in the language the crisis was recognised in
+                    language: result.language,
+                    emotion,
+                    mood,
+                    checkIn: checkInSaved,
+                },
+            };
+        }
+
+        // ai_response_end closes the stream if one was opened
+        return {
+            type: streamStarted ? 'ai_response_end' : 'ai_response',
+            payload: {
+                text: result.response,
+                source: result.source,
+                confidence: result.confidence,
+                latency: result.latency,
+                firstChunkLatency: result.firstChunkLatency,
+                voiceGender,
+                language: replyLanguage,
+                emotion,
+                mood,
+                checkIn: checkInSaved,
+            },
+        };
+    } finally {
+        channel.inFlight--;
+        if (channel.abortController === controller) {
+            channel.abortController = null;
+        }
+    }
+}
+
+module.exports = {
+    handleUserMessage,
+    cancelResponse,
+    createChannel,
+    getHttpChannel,
+    ipLimiter,
+};
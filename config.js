@@ -1,15 +1,47 @@
 require('dotenv').config();
 
+// Float from the environment; unset or unparsable falls back (0 is kept)
+function envFloat(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
 module.exports = {
   // Server configuration
   port: process.env.PORT || 3000,
 
-  // OpenAI configuration (optional)
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY || '',
-    model: 'gpt-3.5-turbo',
-    maxTokens: 50, // Keep responses short
-    temperature: 0.7,
+  // LLM fallback configuration (optional)
+  llm: {
+    // openai | local | mock | none (defaults to openai when a key is set)
+    provider: process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none'),
+
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY || '',
+      model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+      maxTokens: 50, // Keep responses short
+      temperature: 0.7,
+      timeout: 10000,
+    },
+
+    // Any OpenAI-compatible server (llama.cpp, Ollama, LM Studio)
+    local: {
+      baseUrl: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LOCAL_LLM_API_KEY || '',
+      model: process.env.LOCAL_LLM_MODEL || 'llama3',
+      maxTokens: 60,
+      temperature: 0.7,
+      timeout: 20000,
+    },
+
+    // Deterministic replies for tests
+    mock: {
+      model: 'mock',
+      reply: process.env.MOCK_LLM_REPLY || "I hear you. Tell me more about that.",
+      latency: parseInt(process.env.MOCK_LLM_LATENCY, 10) || 0,
+      maxTokens: 50,
+      temperature: 0,
+      timeout: 1000,
+    },
   },
 
   // Voice configuration
@@ -18,23 +50,147 @@ module.exports = {
     enablePremium: process.env.ENABLE_PREMIUM_VOICES === 'true',
   },
 
+  // Browser bootstrap settings, served as /config.json
+  client: {
+    publicWsUrl: process.env.PUBLIC_WS_URL || '', // Empty = same host the page was loaded from
+    features: {
+      handsFree: process.env.FEATURE_HANDS_FREE !== 'false',
+      moodJournal: process.env.FEATURE_MOOD_JOURNAL !== 'false',
+      offline: process.env.FEATURE_OFFLINE !== 'false', // Service worker and offline responder
+    },
+  },
+
   // Performance settings
   performance: {
-    cacheEnabled: true,
+    cacheEnabled: process.env.CACHE_ENABLED !== 'false', // LRU cache for LLM answers
     maxCacheSize: 10000,
-    responseTimeout: 5000, // 5 seconds max
+    cacheTtl: 24 * 60 * 60 * 1000, // 24 hours, 0 = never expire
+    cachePersistPath: process.env.CACHE_PERSIST_PATH || '', // Empty = memory only
+    responseTimeout: parseInt(process.env.RESPONSE_TIMEOUT, 10) || 5000, // 5 seconds max, LLM is cancelled after
+  },
+
+  // Conversation memory (per session)
+  conversation: {
+    maxTurns: 10, // Max past turns sent to the LLM
+    maxHistoryTokens: 400, // Approximate token budget for past turns
+    maxStoredTurns: 200, // Turns kept in memory per session
+    contextWeight: 0.3, // Weight of the previous user turn in dataset matching
+  },
+
+  // Safety layer (runs before the dataset and LLM)
+  safety: {
+    enabled: process.env.SAFETY_ENABLED !== 'false',
+    region: process.env.SAFETY_REGION || 'US', // Key into helplines below
+    logPath: process.env.SAFETY_LOG_PATH || './data/safety-events.log', // JSON lines for review (holds message text)
+    helplines: {
+      US: 'You can call or text 988 to reach the Suicide and Crisis Lifeline, any time.',
+      UK: 'You can call Samaritans for free on 116 123, any time.',
+      IN: 'You can call the Tele MANAS helpline on 14416, any time.',
+      DEFAULT: 'Please reach out to a local crisis line; findahelpline.com lists free services in your country.',
+    },
+  },
+
+  // Emotion labels per user turn and the rolling session mood
+  emotion: {
+    moodWindow: 6, // Latest user turns that make up the mood
+    moodDecay: 0.6, // Weight of each older turn relative to the next
+    trajectoryLength: 100, // Points returned in session stats
+  },
+
+  // Mood journal (dated mood labels per user, kept longer than conversations)
+  journal: {
+    storePath: process.env.MOOD_JOURNAL_PATH || './data/mood-journal.jsonl',
+    retentionDays: 365,
+    defaultRangeDays: 30, // GET /api/mood without from/to
+    topTopics: 5,
+  },
+
+  // Session persistence (resume after reconnect or reload)
+  sessions: {
+    storePath: process.env.SESSION_STORE_PATH || './data/sessions.jsonl',
+    ttl: 30 * 24 * 60 * 60 * 1000, // Forget sessions idle for 30 days
+    resumeHistoryTurns: 50, // Turns sent back to the client on resume
+  },
+
+  // Local accounts (optional; guests keep working without one)
+  auth: {
+    storePath: process.env.ACCOUNT_STORE_PATH || './data/accounts.jsonl',
+    secret: process.env.AUTH_SECRET || '', // Signs auth tokens; empty: random per process
+    tokenTtl: 30 * 24 * 60 * 60 * 1000, // Sign-ins last 30 days
+    minPasswordLength: 8,
+    magicLinkTtl: 15 * 60 * 1000, // Magic links work once, within 15 minutes
+    appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`, // Page magic links open
+    attempts: {
+      capacity: 10, // Signup, login, magic link and session import requests per IP
+      refillPerSecond: 0.05, // Then one every 20 seconds
+    },
+  },
+
+  // AI personas, one JSON file each (system prompt, example keywords, voice defaults, response length)
+  personas: {
+    dir: './personas',
+    default: process.env.DEFAULT_PERSONA || 'listener', // File name without .json
+  },
+
+  // Conversation languages: each has a dataset and a keyword lexicon (see locales/)
+  languages: {
+    default: process.env.DEFAULT_LANGUAGE || 'en', // Used when a message's language can't be told
+    supported: {
+      en: { name: 'English', locale: 'en-US', dataset: './ai_friend_dataset.txt', lexicon: './locales/en.json' },
+      es: { name: 'Español', locale: 'es-ES', dataset: './locales/es.txt', lexicon: './locales/es.json' },
+      fr: { name: 'Français', locale: 'fr-FR', dataset: './locales/fr.txt', lexicon: './locales/fr.json' },
+    },
   },
 
   // Dataset configuration
   dataset: {
-    path: './ai_friend_dataset.txt',
     encoding: 'utf8',
     sourceUrl: 'https://www.wattpad.com/1366787853-slayer-of-the-night-demon-slayer-x-hashira-reader',
+    matchThreshold: envFloat('DATASET_MATCH_THRESHOLD', 0.5), // Min cosine similarity (0-1) for a cache hit
+    exportReplies: 5, // Distinct replies per prompt in the offline index (GET /api/dataset-index)
   },
 
   // WebSocket configuration
   websocket: {
-    pingInterval: 30000, // 30 seconds
+    pingInterval: 30000, // 30 seconds, unresponsive sockets are dropped after one missed ping
     maxPayload: 1024 * 1024, // 1MB
+    maxMessageLength: 2000, // Max characters in a user_message
+  },
+
+  // Rate limiting for user_message (token buckets)
+  rateLimit: {
+    // Proxies in front of the server whose X-Forwarded-For entries are trusted: 'true' is one
+    // (Render), a number is that many, anything else none
+    trustProxy: process.env.TRUST_PROXY === 'true' ? 1 : parseInt(process.env.TRUST_PROXY, 10) || 0,
+    perConnection: {
+      capacity: 5, // Burst size
+      refillPerSecond: 0.5, // Then one message every 2 seconds
+    },
+    perIp: {
+      capacity: 20, // Shared by all sockets from one IP
+      refillPerSecond: 1,
+    },
+    maxConcurrentPerConnection: 1, // In-flight generations per socket
+  },
+
+  // Structured JSON logs
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // debug, info, warn, error
+    textMode: process.env.LOG_TEXT_MODE || 'hash', // User/AI text: hash, truncate or drop
+    truncateLength: 24, // Characters kept in truncate mode (after PII scrubbing)
+    hashSalt: process.env.LOG_HASH_SALT || '', // Empty: random per process
+    redact: {
+      emails: true,
+      phones: true,
+      names: true, // "my name is ...", "call me ..."
+    },
+    // Full transcripts for local debugging; ignored when NODE_ENV=production
+    debugTranscripts: process.env.LOG_DEBUG_TRANSCRIPTS === 'true',
+  },
+
+  // Prometheus metrics at /metrics
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    token: process.env.METRICS_TOKEN || '', // When set, scrapes need "Authorization: Bearer <token>"
   },
 };
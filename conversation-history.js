@@ -0,0 +1,83 @@
+const config = require('./config');
+
+/**
+ * Conversation History - Rolling transcript for one chat session
+ * Stores every turn and hands the LLM only the recent ones that fit the budget
+ */
+class ConversationHistory {
+    constructor(options = {}) {
+        this.maxTurns = options.maxTurns || config.conversation.maxTurns;
+        this.maxTokens = options.maxTokens || config.conversation.maxHistoryTokens;
+        this.maxStoredTurns = options.maxStoredTurns || config.conversation.maxStoredTurns;
+        this.turns = [];
+    }
+
+    /**
+     * Record a turn ('user' or 'assistant') and return it
+     */
+    add(role, text, meta = {}) {
+        const turn = {
+            role,
+            text,
+            timestamp: Date.now(),
+            ...meta,
+        };
+        this.turns.push(turn);
+
+        // Keep memory bounded for long-running sessions
+        if (this.turns.length > this.maxStoredTurns) {
+            this.turns.splice(0, this.turns.length - this.maxStoredTurns);
+        }
+        return turn;
+    }
+
+    /**
+     * Recent turns as chat messages, newest kept first when trimming
+     * Token count is estimated at ~4 characters per token
+     */
+    getMessages() {
+        const messages = [];
+        let tokens = 0;
+
+        for (let i = this.turns.length - 1; i >= 0 && messages.length < this.maxTurns; i--) {
+            const turn = this.turns[i];
+            const turnTokens = Math.ceil(turn.text.length / 4);
+
+            if (tokens + turnTokens > this.maxTokens) break;
+
+            tokens += turnTokens;
+            messages.unshift({ role: turn.role, content: turn.text });
+        }
+
+        return messages;
+    }
+
+    /**
+     * Most recent user turn and the reply it got, or null if there is none
+     */
+    getLastExchange() {
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            if (this.turns[i].role === 'user') {
+                const reply = this.turns[i + 1];
+                return {
+                    user: this.turns[i].text,
+                    ai: reply && reply.role === 'assistant' ? reply.text : null,
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Text of every assistant reply still held, oldest first
+     */
+    getReplies() {
+        return this.turns.filter(turn => turn.role === 'assistant').map(turn => turn.text);
+    }
+
+    get length() {
+        return this.turns.length;
+    }
+}
+
+module.exports = ConversationHistory;
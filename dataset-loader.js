@@ -1,75 +1,183 @@
 const fs = require('fs');
 const config = require('./config');
+const logger = require('./logger');
 
 /**
  * Dataset Loader - Optimized for ultra-fast response lookup
- * Loads and indexes the conversation dataset for O(1) retrieval
+ * Loads and indexes one conversation dataset per language for ranked TF-IDF retrieval
+ * Each language's keywords, stopwords, negations and contractions come from its lexicon file
  */
 class DatasetLoader {
     constructor() {
-        this.conversations = [];
-        this.keywordIndex = new Map();
+        this.locales = new Map(); // language -> index (see _createIndex)
+        this.vocabulary = new Map(); // word -> languages whose lexicon contains it
         this.loaded = false;
     }
 
     /**
-     * Load and parse the dataset file
+     * Load and parse the dataset and lexicon of every configured language
+     * Only the default language is required; others are skipped with a warning
      */
     async load() {
-        console.log('📚 Loading dataset...');
+        const { supported } = config.languages;
+
+        Object.keys(supported).forEach(language => {
+            try {
+                this.locales.set(language, this._loadLocale(language, supported[language]));
+            } catch (error) {
+                if (language === config.languages.default) {
+                    logger.error('Error loading dataset', { language, error });
+                    throw error;
+                }
+                logger.warn('Skipping language without a usable dataset', { language, error });
+            }
+        });
+
+        this._buildVocabulary();
+        this.loaded = true;
+    }
+
+    /**
+     * Read one language's lexicon and dataset into a new index
+     */
+    _loadLocale(language, { dataset, lexicon }) {
+        logger.info('Loading dataset', { language, path: dataset });
         const startTime = Date.now();
 
-        try {
-            const data = fs.readFileSync(config.dataset.path, config.dataset.encoding);
-            const lines = data.split('\n');
+        const index = this._createIndex(language, JSON.parse(fs.readFileSync(lexicon, 'utf8')));
+        const lines = fs.readFileSync(dataset, config.dataset.encoding).split('\n');
 
-            let currentUser = null;
-            let conversationCount = 0;
+        let currentUser = null;
+        let conversationCount = 0;
+        let duplicateCount = 0;
 
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
 
-                if (line.startsWith('User:')) {
-                    currentUser = line.substring(5).trim();
-                } else if (line.startsWith('AI:') && currentUser) {
-                    const aiResponse = line.substring(3).trim();
+            if (line.startsWith('User:')) {
+                currentUser = line.substring(5).trim();
+            } else if (line.startsWith('AI:') && currentUser) {
+                const aiResponse = line.substring(3).trim();
 
+                // The dataset repeats pairs; one copy is enough to match and rotate replies
+                if (this._addDocument(index, currentUser, aiResponse)) {
                     // Store conversation pair
-                    this.conversations.push({
+                    index.conversations.push({
                         user: currentUser,
                         ai: aiResponse,
                     });
 
                     // Index by keywords for fast lookup
-                    this._indexConversation(currentUser, aiResponse);
-
+                    this._indexConversation(index, currentUser, aiResponse);
                     conversationCount++;
-                    currentUser = null;
+                } else {
+                    duplicateCount++;
                 }
+
+                currentUser = null;
             }
+        }
+
+        this._buildTermIndex(index);
+
+        logger.info('Dataset loaded', {
+            language,
+            conversations: conversationCount,
+            duplicates: duplicateCount,
+            loadTime: Date.now() - startTime,
+            keywords: index.keywordIndex.size,
+            prompts: index.documents.length,
+            terms: index.termIndex.size,
+        });
+        return index;
+    }
+
+    /**
+     * Empty index for one language, with its lexicon compiled
+     */
+    _createIndex(language, lexicon) {
+        return {
+            language,
+            keywords: lexicon.keywords,
+            stopwords: new Set(lexicon.stopwords),
+            negations: new Set(lexicon.negations),
+            contractions: lexicon.contractions.map(([pattern, replacement]) => [new RegExp(pattern, 'g'), replacement]),
+            generic: lexicon.generic,
+            conversations: [],
+            keywordIndex: new Map(),
+            documents: [],
+            documentIndex: new Map(),
+            termIndex: new Map(),
+            idf: new Map(),
+            maxIdf: 0,
+        };
+    }
+
+    /**
+     * Index for a language, falling back to the default language
+     */
+    _locale(language) {
+        return this.locales.get(language) || this.locales.get(config.languages.default);
+    }
+
+    /**
+     * Whether a language's dataset is loaded
+     */
+    hasLanguage(language) {
+        return this.locales.has(language);
+    }
 
-            this.loaded = true;
-            const loadTime = Date.now() - startTime;
-            console.log(`✅ Dataset loaded: ${conversationCount} conversations in ${loadTime}ms`);
-            console.log(`📊 Keyword index size: ${this.keywordIndex.size} unique patterns`);
+    /**
+     * Map every lexicon word to the languages using it, for detectLanguage
+     */
+    _buildVocabulary() {
+        this.locales.forEach((index, language) => {
+            const { greetings, thanks, goodbyes } = index.generic;
+            const words = [...index.keywords, ...index.stopwords, ...index.negations, ...greetings, ...thanks, ...goodbyes];
+
+            words.forEach(word => {
+                if (!this.vocabulary.has(word)) {
+                    this.vocabulary.set(word, new Set());
+                }
+                this.vocabulary.get(word).add(language);
+            });
+        });
+    }
+
+    /**
+     * Guess the language of a message from the lexicon words it uses
+     * Words shared by several languages count for less; returns null when unsure
+     */
+    detectLanguage(text) {
+        const scores = new Map();
 
-        } catch (error) {
-            console.error('❌ Error loading dataset:', error.message);
-            throw error;
+        text.toLowerCase().split(/[^\p{L}]+/u).forEach(word => {
+            const languages = this.vocabulary.get(word);
+            if (!languages) return;
+
+            languages.forEach(language => {
+                scores.set(language, (scores.get(language) || 0) + 1 / languages.size);
+            });
+        });
+
+        const [best, runnerUp] = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+        if (!best || (runnerUp && runnerUp[1] === best[1])) {
+            return null;
         }
+        return best[0];
     }
 
     /**
      * Index conversation by emotional keywords
      */
-    _indexConversation(userInput, aiResponse) {
-        const keywords = this._extractKeywords(userInput.toLowerCase());
+    _indexConversation(index, userInput, aiResponse) {
+        const keywords = this._extractKeywords(index, userInput.toLowerCase());
 
         keywords.forEach(keyword => {
-            if (!this.keywordIndex.has(keyword)) {
-                this.keywordIndex.set(keyword, []);
+            if (!index.keywordIndex.has(keyword)) {
+                index.keywordIndex.set(keyword, []);
             }
-            this.keywordIndex.get(keyword).push({
+            index.keywordIndex.get(keyword).push({
                 user: userInput,
                 ai: aiResponse,
             });
@@ -77,78 +185,366 @@ class DatasetLoader {
     }
 
     /**
-     * Extract emotional keywords from user input
-     */
-    _extractKeywords(text) {
-        const emotionalKeywords = [
-            'lonely', 'alone', 'isolated',
-            'stress', 'stressed', 'anxious', 'anxiety', 'worried',
-            'sad', 'depressed', 'down', 'unhappy',
-            'fail', 'failed', 'failure', 'mistake',
-            'sleep', 'tired', 'exhausted', 'insomnia',
-            'motivate', 'motivation', 'inspire',
-            'help', 'support', 'need',
-            'friend', 'care', 'love',
-            'useless', 'worthless', 'hopeless',
-            'joke', 'funny', 'laugh',
-            'hi', 'hello', 'hey',
-            'thank', 'thanks', 'grateful',
-            'angry', 'mad', 'frustrated',
-            'scared', 'afraid', 'fear',
-            'happy', 'good', 'great',
-        ];
-
-        const found = [];
-        emotionalKeywords.forEach(keyword => {
-            if (text.includes(keyword)) {
-                found.push(keyword);
+     * Keyword buckets a prompt falls into ('general' if none)
+     */
+    getKeywordBuckets(text, language = config.languages.default) {
+        return this._extractKeywords(this._locale(language), text.toLowerCase());
+    }
+
+    /**
+     * Extract emotional keywords (from the language's lexicon) from user input
+     */
+    _extractKeywords(index, text) {
+        const found = index.keywords.filter(keyword => text.includes(keyword));
+
+        return found.length > 0 ? found : ['general'];
+    }
+
+    /**
+     * Group replies by their normalized user prompt so each prompt is one document
+     * Returns false (and adds nothing) when the prompt already has this reply
+     */
+    _addDocument(index, userInput, aiResponse) {
+        const key = this._tokenize(index, userInput).join(' ');
+
+        let doc = index.documentIndex.get(key);
+        if (!doc) {
+            doc = { id: index.documents.length, user: userInput, replies: [], replyKeys: [], terms: this._extractTerms(index, userInput) };
+            index.documentIndex.set(key, doc);
+            index.documents.push(doc);
+        }
+
+        const replyKey = this._replyKey(aiResponse);
+        if (doc.replyKeys.includes(replyKey)) return false;
+
+        doc.replies.push(aiResponse);
+        doc.replyKeys.push(replyKey);
+        return true;
+    }
+
+    /**
+     * Reply text reduced to its words, so a reply matches what was said even after
+     * emojis and punctuation were cleaned for speech
+     */
+    _replyKey(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    /**
+     * One of a prompt's replies, avoiding the ones the session has heard
+     * heard maps reply keys to when they were last said (higher is more recent)
+     * Returns { ai, fresh } - fresh is false once every distinct reply was heard,
+     * and ai is then the one heard longest ago, so replies keep rotating
+     */
+    _pickReply(doc, heard) {
+        const unheard = doc.replies.filter((reply, i) => !heard.has(doc.replyKeys[i]));
+        if (unheard.length > 0) {
+            return { ai: unheard[Math.floor(Math.random() * unheard.length)], fresh: true };
+        }
+
+        let oldest = 0;
+        doc.replyKeys.forEach((replyKey, i) => {
+            if (heard.get(replyKey) < heard.get(doc.replyKeys[oldest])) oldest = i;
+        });
+        return { ai: doc.replies[oldest], fresh: false };
+    }
+
+    /**
+     * Compute IDF weights, document vectors and the term -> documents inverted index
+     */
+    _buildTermIndex(index) {
+        const docCount = index.documents.length;
+        const docFrequency = new Map();
+
+        index.documents.forEach(doc => {
+            new Set(doc.terms).forEach(term => {
+                docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        // Smoothed IDF; terms never seen in the dataset weigh as much as the rarest known term
+        index.maxIdf = Math.log(1 + (docCount + 1) / 2);
+        docFrequency.forEach((df, term) => {
+            index.idf.set(term, Math.log(1 + (docCount + 1) / (df + 1)));
+        });
+
+        index.documents.forEach(doc => {
+            doc.vector = this._vectorize(index, doc.terms);
+            doc.vector.forEach((weight, term) => {
+                if (!index.termIndex.has(term)) {
+                    index.termIndex.set(term, []);
+                }
+                index.termIndex.get(term).push(doc);
+            });
+        });
+    }
+
+    /**
+     * Lowercase, expand contractions and split into word tokens
+     */
+    _tokenize(index, text) {
+        let normalized = text.toLowerCase().replace(/[‘’`]/g, "'");
+        index.contractions.forEach(([pattern, replacement]) => {
+            normalized = normalized.replace(pattern, replacement);
+        });
+
+        return normalized
+            .replace(/[^\p{L}\p{N}'\s.,!?;:]/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Turn text into unigram + bigram terms with stopword removal and
+     * negation scoping, so "not happy" becomes "not_happy" and never matches "happy"
+     */
+    _extractTerms(index, text) {
+        const words = [];
+        let negated = 0;
+
+        this._tokenize(index, text).forEach(token => {
+            const endsClause = /[.,!?;:]$/.test(token);
+            const word = token.replace(/[^\p{L}\p{N}']/gu, '').replace(/'/g, '');
+
+            if (word) {
+                if (index.negations.has(word)) {
+                    negated = 3; // negate up to the next three content words
+                } else if (index.stopwords.has(word)) {
+                    // Skip filler words, they carry no intent
+                } else if (negated > 0) {
+                    words.push(`not_${word}`);
+                    negated--;
+                } else {
+                    words.push(word);
+                }
+            }
+
+            if (endsClause) {
+                negated = 0;
             }
         });
 
-        return found.length > 0 ? found : ['general'];
+        const terms = [...words];
+        for (let i = 0; i < words.length - 1; i++) {
+            terms.push(`${words[i]} ${words[i + 1]}`);
+        }
+        return terms;
     }
 
     /**
-     * Find best matching response from cache
-     * Returns null if no good match found
+     * Build an L2-normalized TF-IDF vector for a list of terms
+     * Context terms (e.g. the previous user turn) count with a reduced weight
      */
-    findResponse(userInput) {
+    _vectorize(index, terms, contextTerms = [], contextWeight = 0) {
+        const vector = new Map();
+
+        terms.forEach(term => {
+            vector.set(term, (vector.get(term) || 0) + 1);
+        });
+        contextTerms.forEach(term => {
+            vector.set(term, (vector.get(term) || 0) + contextWeight);
+        });
+
+        let norm = 0;
+        vector.forEach((tf, term) => {
+            const value = tf * (index.idf.get(term) || index.maxIdf);
+            vector.set(term, value);
+            norm += value * value;
+        });
+
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            vector.forEach((value, term) => vector.set(term, value / norm));
+        }
+        return vector;
+    }
+
+    /**
+     * Rank every candidate prompt of the language's dataset sharing at least one term with the input
+     * Passing the session history blends in the previous user turn so
+     * follow-ups prefer replies that fit the ongoing exchange, and steers each prompt
+     * to a reply the session hasn't heard yet (see _pickReply)
+     * Returns [{ user, ai, score, fresh }] sorted by cosine similarity (0-1)
+     */
+    rankResponses(userInput, { limit = 5, history = null, language = config.languages.default } = {}) {
         if (!this.loaded) {
-            console.warn('⚠️  Dataset not loaded yet');
+            logger.warn('Dataset not loaded yet');
+            return [];
+        }
+
+        const index = this._locale(language);
+        const inputTerms = this._extractTerms(index, userInput);
+
+        // Context only refines an input that has terms of its own; on its own ("no", "so")
+        // it would match the previous prompt perfectly
+        const lastExchange = history && inputTerms.length > 0 ? history.getLastExchange() : null;
+        const contextTerms = lastExchange ? this._extractTerms(index, lastExchange.user) : [];
+        const queryVector = this._vectorize(
+            index,
+            inputTerms,
+            contextTerms,
+            config.conversation.contextWeight
+        );
+        const scores = new Map();
+        const heard = this._heardReplies(history);
+
+        queryVector.forEach((weight, term) => {
+            const postings = index.termIndex.get(term);
+            if (!postings) return;
+
+            postings.forEach(doc => {
+                scores.set(doc, (scores.get(doc) || 0) + weight * doc.vector.get(term));
+            });
+        });
+
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([doc, score]) => ({
+                user: doc.user,
+                ...this._pickReply(doc, heard),
+                score: Number(score.toFixed(3)),
+            }));
+    }
+
+    /**
+     * Replies already said in this session, mapped to how recently (higher is more recent)
+     */
+    _heardReplies(history) {
+        const heard = new Map();
+        if (history) {
+            history.getReplies().forEach((reply, i) => heard.set(this._replyKey(reply), i));
+        }
+        return heard;
+    }
+
+    /**
+     * Find best matching response from cache
+     * With avoidRepeats (no LLM to rephrase), a prompt whose replies were all heard gives way
+     * to the next-ranked prompts above minScore, then to an unheard reply from the input's
+     * keyword buckets; only when there is none does the reply heard longest ago repeat
+     * Returns { user, ai, score, fresh } or null if the best match scores below minScore
+     */
+    findResponse(userInput, { minScore = config.dataset.matchThreshold, history = null, language, avoidRepeats = false } = {}) {
+        const ranked = this.rankResponses(userInput, { limit: avoidRepeats ? 5 : 1, history, language });
+        const [best] = ranked;
+
+        if (!best || best.score < minScore) {
             return null;
         }
+        if (best.fresh || !avoidRepeats) {
+            return best;
+        }
 
-        const keywords = this._extractKeywords(userInput.toLowerCase());
+        const heard = this._heardReplies(history);
+        const close = ranked.filter(match => match.score >= minScore);
+        const fresh = close.find(match => match.fresh) || this._bucketReply(userInput, { heard, language, score: best.score });
+        if (fresh) return fresh;
 
-        // Try to find exact keyword match
-        for (const keyword of keywords) {
-            const matches = this.keywordIndex.get(keyword);
-            if (matches && matches.length > 0) {
-                // Return random response from matches for variety
-                const randomIndex = Math.floor(Math.random() * matches.length);
-                return matches[randomIndex].ai;
-            }
+        const lastHeard = (match) => heard.get(this._replyKey(match.ai));
+        return close.reduce((oldest, match) => (lastHeard(match) < lastHeard(oldest) ? match : oldest));
+    }
+
+    /**
+     * An unheard reply from the conversations sharing a keyword with the input, or null
+     * The catch-all 'general' bucket is skipped; its prompts have nothing in common
+     */
+    _bucketReply(userInput, { heard, language, score }) {
+        const index = this._locale(language);
+        const candidates = this._extractKeywords(index, userInput.toLowerCase())
+            .filter(keyword => keyword !== 'general')
+            .flatMap(keyword => index.keywordIndex.get(keyword) || [])
+            .filter(({ ai }) => !heard.has(this._replyKey(ai)));
+
+        if (candidates.length === 0) return null;
+        const { user, ai } = candidates[Math.floor(Math.random() * candidates.length)];
+        return { user, ai, score, fresh: true };
+    }
+
+    /**
+     * Get a random conversation example in a language for personality reference
+     * With keywords, only prompts in those keyword buckets are picked (if the language has any)
+     */
+    getRandomExample(language = config.languages.default, keywords = []) {
+        const index = this._locale(language);
+        if (!index) return null;
+
+        const buckets = keywords.map(keyword => index.keywordIndex.get(keyword)).filter(Boolean);
+        if (buckets.length === 0) {
+            buckets.push(index.conversations);
         }
 
+        const size = buckets.reduce((total, bucket) => total + bucket.length, 0);
+        if (size === 0) return null;
+
+        // Pick uniformly across the buckets without concatenating them
+        let randomIndex = Math.floor(Math.random() * size);
+        for (const bucket of buckets) {
+            if (randomIndex < bucket.length) return bucket[randomIndex];
+            randomIndex -= bucket.length;
+        }
         return null;
     }
 
     /**
-     * Get a random conversation example for personality reference
+     * Greeting/thanks/goodbye words and canned replies for when no LLM is available
      */
-    getRandomExample() {
-        if (this.conversations.length === 0) return null;
-        const randomIndex = Math.floor(Math.random() * this.conversations.length);
-        return this.conversations[randomIndex];
+    getGenericPhrases(language = config.languages.default) {
+        return this._locale(language).generic;
     }
 
     /**
-     * Get dataset statistics
+     * Compact copy of every language's index for the browser's offline responder
+     * (offline-responder.js): tokenizer rules, IDF weights and one TF-IDF vector per
+     * prompt with up to maxReplies distinct replies
+     */
+    exportIndex({ maxReplies = config.dataset.exportReplies } = {}) {
+        const round = (value) => Number(value.toFixed(4));
+        const languages = {};
+
+        this.locales.forEach((index, language) => {
+            languages[language] = {
+                stopwords: [...index.stopwords],
+                negations: [...index.negations],
+                contractions: index.contractions.map(([pattern, replacement]) => [pattern.source, replacement]),
+                generic: index.generic,
+                maxIdf: round(index.maxIdf),
+                idf: Object.fromEntries([...index.idf].map(([term, idf]) => [term, round(idf)])),
+                documents: index.documents.map(doc => ({
+                    vector: Object.fromEntries([...doc.vector].map(([term, weight]) => [term, round(weight)])),
+                    replies: doc.replies.slice(0, maxReplies),
+                })),
+            };
+        });
+
+        return {
+            defaultLanguage: config.languages.default,
+            matchThreshold: config.dataset.matchThreshold,
+            languages,
+        };
+    }
+
+    /**
+     * Get dataset statistics (totals, plus a breakdown per language)
      */
     getStats() {
+        const languages = {};
+        this.locales.forEach((index, language) => {
+            languages[language] = {
+                conversations: index.conversations.length,
+                keywords: index.keywordIndex.size,
+                prompts: index.documents.length,
+                terms: index.termIndex.size,
+            };
+        });
+        const total = (field) => Object.values(languages).reduce((sum, stats) => sum + stats[field], 0);
+
         return {
-            totalConversations: this.conversations.length,
-            uniqueKeywords: this.keywordIndex.size,
+            totalConversations: total('conversations'),
+            uniqueKeywords: total('keywords'),
+            uniquePrompts: total('prompts'),
+            indexedTerms: total('terms'),
+            languages,
             loaded: this.loaded,
         };
     }
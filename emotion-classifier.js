@@ -0,0 +1,169 @@
+const config = require('./config');
+
+/**
+ * Emotion Classifier - Labels user turns with an emotion and intensity
+ * and rolls them up into a session mood (recent turns weigh more)
+ */
+
+// Words and phrases per emotion, matched on word boundaries
+const LEXICON = {
+    sad: ['sad', 'depressed', 'down', 'unhappy', 'upset', 'cry', 'crying', 'heartbroken', 'miserable',
+        'hopeless', 'worthless', 'useless', 'empty', 'hurt', 'grief', 'failed', 'failure'],
+    lonely: ['lonely', 'alone', 'isolated', 'left out', 'no friends', 'nobody cares', 'no one cares'],
+    anxious: ['anxious', 'anxiety', 'stress', 'stressed', 'worried', 'worry', 'nervous', 'panic',
+        'scared', 'afraid', 'fear', 'overwhelmed', 'overthinking'],
+    angry: ['angry', 'mad', 'furious', 'frustrated', 'annoyed', 'annoying', 'irritated', 'hate', 'fed up'],
+    tired: ['tired', 'exhausted', 'drained', 'sleepy', 'insomnia', 'burnt out', 'burned out', 'can not sleep'],
+    happy: ['happy', 'good', 'great', 'excited', 'glad', 'awesome', 'amazing', 'wonderful', 'better', 'proud', 'fun'],
+    grateful: ['thank', 'thanks', 'thank you', 'grateful', 'appreciate'],
+};
+
+// How pleasant each emotion is (-1 to 1); drives mood valence
+const VALENCE = {
+    sad: -0.8,
+    lonely: -0.7,
+    anxious: -0.6,
+    angry: -0.7,
+    tired: -0.4,
+    neutral: 0,
+    happy: 0.8,
+    grateful: 0.7,
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", "isn't", "wasn't", "aren't", "didn't"]);
+const INTENSIFIERS = new Set(['so', 'very', 'really', 'extremely', 'super', 'too', 'totally', 'incredibly']);
+
+class EmotionClassifier {
+    constructor() {
+        // Compile each lexicon entry once: [{ emotion, pattern }]
+        this.entries = [];
+        Object.keys(LEXICON).forEach(emotion => {
+            LEXICON[emotion].forEach(phrase => {
+                this.entries.push({ emotion, pattern: new RegExp(`\\b${phrase}\\b`, 'g') });
+            });
+        });
+    }
+
+    /**
+     * Classify a user message
+     * Returns { emotion, intensity } with intensity 0-1 ('neutral' with 0 when nothing matched)
+     */
+    classify(text) {
+        const normalized = this._normalize(text);
+        const scores = {};
+        let hits = 0;
+
+        this.entries.forEach(({ emotion, pattern }) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(normalized)) !== null) {
+                const before = normalized.slice(0, match.index).split(/\s+/).filter(Boolean).slice(-3);
+
+                // "not happy" leans sad; "not sad" says little either way
+                let target = emotion;
+                if (before.some(word => NEGATIONS.has(word))) {
+                    if (VALENCE[emotion] <= 0) continue;
+                    target = 'sad';
+                }
+
+                const boost = before.slice(-2).filter(word => INTENSIFIERS.has(word)).length * 0.5;
+                scores[target] = (scores[target] || 0) + 1 + boost;
+                hits++;
+            }
+        });
+
+        const [emotion, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || ['neutral', 0];
+        if (emotion === 'neutral') {
+            return { emotion, intensity: 0 };
+        }
+
+        // Repetition, intensifiers, exclamation marks and shouting all raise intensity
+        const exclamations = Math.min((text.match(/!/g) || []).length, 2) * 0.1;
+        const letters = text.replace(/[^A-Za-z]/g, '');
+        const shouting = letters.length > 3 && letters === letters.toUpperCase() ? 0.15 : 0;
+        const intensity = 0.4 + (score - 1) * 0.2 + (hits - 1) * 0.05 + exclamations + shouting;
+
+        return { emotion, intensity: Number(Math.min(1, intensity).toFixed(2)) };
+    }
+
+    /**
+     * Signed valence (-1 to 1) of a label
+     */
+    getValence({ emotion, intensity }) {
+        return Number(((VALENCE[emotion] || 0) * intensity).toFixed(2));
+    }
+
+    /**
+     * Rolling mood over the latest labelled user turns (newest weighs most)
+     * turns are ConversationHistory turns; current is an extra, not yet recorded label
+     * Returns { emotion, intensity, valence } or null before any labelled turn
+     */
+    getMood(turns, current = null) {
+        const labels = turns
+            .filter(turn => turn.role === 'user' && turn.emotion)
+            .map(turn => ({ emotion: turn.emotion, intensity: turn.intensity }));
+        if (current) labels.push(current);
+
+        const recent = labels.slice(-config.emotion.moodWindow);
+        if (recent.length === 0) return null;
+
+        const scores = {};
+        let totalWeight = 0;
+        let valence = 0;
+
+        recent.forEach((label, i) => {
+            const weight = Math.pow(config.emotion.moodDecay, recent.length - 1 - i);
+            totalWeight += weight;
+            valence += weight * VALENCE[label.emotion] * label.intensity;
+            if (label.emotion !== 'neutral') {
+                scores[label.emotion] = (scores[label.emotion] || 0) + weight * label.intensity;
+            }
+        });
+
+        const [emotion, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || ['neutral', 0];
+
+        return {
+            emotion,
+            intensity: Number((score / totalWeight).toFixed(2)),
+            valence: Number((valence / totalWeight).toFixed(2)),
+        };
+    }
+
+    /**
+     * Label and rolling mood after every labelled user turn, oldest first
+     */
+    getTrajectory(turns) {
+        const trajectory = [];
+        const seen = [];
+
+        turns.forEach(turn => {
+            if (turn.role !== 'user' || !turn.emotion) return;
+
+            seen.push(turn);
+            trajectory.push({
+                timestamp: turn.timestamp,
+                emotion: turn.emotion,
+                intensity: turn.intensity,
+                mood: this.getMood(seen),
+            });
+        });
+
+        return trajectory.slice(-config.emotion.trajectoryLength);
+    }
+
+    /**
+     * Lowercase, unify apostrophes and expand "can't" so phrases stay simple
+     */
+    _normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/[‘’`]/g, "'")
+            .replace(/\bcan'?t\b/g, 'can not')
+            .replace(/[^\p{L}\p{N}'\s]/gu, ' ');
+    }
+}
+
+// Singleton instance
+const emotionClassifier = new EmotionClassifier();
+
+module.exports = emotionClassifier;
@@ -0,0 +1,159 @@
+const OpenAI = require('openai');
+const config = require('./config');
+
+/**
+ * LLM Providers - Interchangeable backends for the LLM fallback
+ * Every provider implements complete(messages, { onChunk, signal, maxTokens }) -> { text, usage }
+ */
+
+/**
+ * Error raised by any provider, so the pipeline has one fallback path
+ */
+class LLMProviderError extends Error {
+    constructor(provider, message, cause) {
+        super(`${provider}: ${message}`);
+        this.name = 'LLMProviderError';
+        this.provider = provider;
+        this.cause = cause;
+    }
+}
+
+/**
+ * OpenAI chat completions (also the base for OpenAI-compatible servers)
+ */
+class OpenAIProvider {
+    constructor(settings, name = 'openai') {
+        this.name = name;
+        this.settings = settings;
+        this.model = settings.model;
+        this.client = new OpenAI({
+            apiKey: settings.apiKey,
+            baseURL: settings.baseUrl || undefined,
+            timeout: settings.timeout,
+            maxRetries: 0, // Retries would blow the voice latency budget
+        });
+    }
+
+    /**
+     * Run a chat completion, streaming raw text deltas to onChunk when given
+     * Aborting signal cancels the HTTP request; maxTokens overrides the configured limit
+     */
+    async complete(messages, { onChunk = null, signal = null, maxTokens = null } = {}) {
+        try {
+            const completion = await this.client.chat.completions.create({
+                model: this.model,
+                messages,
+                max_tokens: maxTokens || this.settings.maxTokens,
+                temperature: this.settings.temperature,
+                stream: !!onChunk,
+                // OpenAI reports token usage in a final chunk only when asked;
+                // local servers may reject the option, so they stream without it
+                ...(onChunk && this.name === 'openai' ? { stream_options: { include_usage: true } } : {}),
+            }, { signal: signal || undefined });
+
+            if (!onChunk) {
+                return {
+                    text: completion.choices[0].message.content.trim(),
+                    usage: completion.usage || null,
+                };
+            }
+
+            let text = '';
+            let usage = null;
+            for await (const part of completion) {
+                if (part.usage) {
+                    usage = part.usage;
+                }
+
+                const delta = part.choices[0]?.delta?.content;
+                if (!delta) continue;
+
+                text += delta;
+                onChunk(delta);
+            }
+            return { text: text.trim(), usage };
+
+        } catch (error) {
+            throw new LLMProviderError(this.name, error.message, error);
+        }
+    }
+}
+
+/**
+ * Local OpenAI-compatible server (llama.cpp server, Ollama /v1, LM Studio, ...)
+ */
+class LocalProvider extends OpenAIProvider {
+    constructor(settings) {
+        super({ ...settings, apiKey: settings.apiKey || 'local' }, 'local');
+    }
+}
+
+/**
+ * Deterministic offline provider for tests and demos
+ */
+class MockProvider {
+    constructor(settings) {
+        this.name = 'mock';
+        this.settings = settings;
+        this.model = settings.model;
+    }
+
+    async complete(messages, { onChunk = null, signal = null } = {}) {
+        if (this.settings.latency > 0) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, this.settings.latency);
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(new LLMProviderError(this.name, 'Request was aborted.'));
+                    }, { once: true });
+                }
+            });
+        }
+
+        const text = this.settings.reply;
+        if (onChunk) {
+            text.split(/(?<= )/).forEach(word => onChunk(word));
+        }
+
+        return {
+            text,
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        };
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    local: LocalProvider,
+    mock: MockProvider,
+};
+
+/**
+ * Create the configured provider, or null when the LLM fallback is disabled
+ */
+function createProvider(name = config.llm.provider) {
+    if (!name || name === 'none') {
+        return null;
+    }
+
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}" (expected ${Object.keys(PROVIDERS).join(', ')} or none)`);
+    }
+
+    const settings = config.llm[name];
+    if (name === 'openai' && !settings.apiKey) {
+        return null;
+    }
+
+    return new Provider(settings);
+}
+
+module.exports = {
+    createProvider,
+    LLMProviderError,
+    OpenAIProvider,
+    LocalProvider,
+    MockProvider,
+};
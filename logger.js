@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Logger - Structured JSON logs with levels, correlation fields and redaction
+ * One line per event: { time, level, msg, ...fields }
+ *
+ * User and AI text must only be passed in TEXT_FIELDS, which are hashed, truncated
+ * or dropped per config.logging.textMode. Emails, phone numbers and stated names are
+ * scrubbed from those fields and from error messages.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields that may carry what the user said or what we answered
+const TEXT_FIELDS = ['text', 'response'];
+
+const PII_PATTERNS = {
+    emails: [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]'],
+    phones: [/\+?\d(?:[\s().-]*\d){6,}/g, '[phone]'],
+    // Heuristic: names people state about themselves
+    names: [/\b(my name is|my name's|i am called|i'm called|call me)\s+(?!(?:at|on|back|later|if|when|now|please|tomorrow)\b)[\p{L}'-]+/giu, '$1 [name]'],
+};
+
+/**
+ * Effective settings; debug transcripts only apply outside production
+ */
+function resolveSettings() {
+    const settings = { ...config.logging, hashSalt: config.logging.hashSalt || crypto.randomBytes(16).toString('hex') };
+
+    if (settings.debugTranscripts) {
+        if (process.env.NODE_ENV === 'production') {
+            settings.debugTranscripts = false;
+            settings.ignoredDebugTranscripts = true;
+        } else {
+            settings.level = 'debug';
+        }
+    }
+    return settings;
+}
+
+class Logger {
+    constructor(fields = {}, settings = resolveSettings()) {
+        this.fields = fields;
+        this.settings = settings;
+    }
+
+    /**
+     * Logger that adds correlation fields (sessionId, requestId, ...) to every line
+     */
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, this.settings);
+    }
+
+    debug(msg, fields) {
+        this._log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this._log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this._log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this._log('error', msg, fields);
+    }
+
+    /**
+     * Redact user or AI text per the configured mode
+     */
+    redactText(text) {
+        if (typeof text !== 'string') return text;
+        if (this.settings.debugTranscripts) return text;
+
+        switch (this.settings.textMode) {
+            case 'drop':
+                return `[${text.length} chars]`;
+            case 'truncate': {
+                const scrubbed = this.scrubPII(text);
+                const max = this.settings.truncateLength;
+                return scrubbed.length > max ? `${scrubbed.slice(0, max)}…` : scrubbed;
+            }
+            default:
+                // Keyed hash: equal texts correlate without being recoverable by guessing
+                return 'hmac:' + crypto.createHmac('sha256', this.settings.hashSalt).update(text).digest('hex').slice(0, 16);
+        }
+    }
+
+    /**
+     * Replace emails, phone numbers and stated names
+     */
+    scrubPII(text) {
+        if (this.settings.debugTranscripts) return text;
+
+        return Object.keys(PII_PATTERNS).reduce((result, kind) => {
+            if (!this.settings.redact[kind]) return result;
+            const [pattern, replacement] = PII_PATTERNS[kind];
+            return result.replace(pattern, replacement);
+        }, text);
+    }
+
+    _log(level, msg, fields = {}) {
+        if (LEVELS[level] < (LEVELS[this.settings.level] || LEVELS.info)) return;
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+
+        Object.keys(fields).forEach(key => {
+            const value = fields[key];
+            if (value === undefined) return;
+
+            if (TEXT_FIELDS.includes(key)) {
+                entry[key] = this.redactText(value);
+            } else if (value instanceof Error) {
+                entry[key] = this.scrubPII(value.message);
+            } else {
+                entry[key] = value;
+            }
+        });
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(JSON.stringify(entry) + '\n');
+    }
+}
+
+// Singleton root logger
+const logger = new Logger();
+
+if (logger.settings.ignoredDebugTranscripts) {
+    logger.warn('LOG_DEBUG_TRANSCRIPTS is ignored in production');
+} else if (logger.settings.debugTranscripts) {
+    logger.warn('Debug transcripts enabled: full user and AI text is logged');
+}
+
+module.exports = logger;
@@ -0,0 +1,76 @@
+const logger = require('./logger');
+
+/**
+ * Mailer - Sends sign-in emails through a pluggable transport
+ * The default transport only logs the magic link, which is enough for local use;
+ * it refuses to send when NODE_ENV=production. Plug in a real one (SMTP, an email API, ...) with setTransport before starting:
+ *
+ *   mailer.setTransport({ send: async ({ to, subject, text }) => { ... } });
+ */
+
+// Development stub: the link goes to the log instead of an inbox (the address is left out).
+// A logged link signs anyone who can read the logs in, so production refuses it
+const consoleTransport = {
+    name: 'console',
+    async send({ subject, link }) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('The console mail transport is disabled in production; set a real transport');
+        }
+        logger.info('Email not sent (console mail transport)', { subject, link });
+    },
+};
+
+class Mailer {
+    constructor() {
+        this.transport = consoleTransport;
+        this.sent = 0;
+        this.failed = 0;
+    }
+
+    /**
+     * Replace the transport; it needs an async send({ to, subject, text, link })
+     */
+    setTransport(transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new TypeError('A mail transport needs a send(message) function');
+        }
+        this.transport = transport;
+    }
+
+    /**
+     * Email a magic sign-in link
+     */
+    async sendMagicLink(to, link, ttl) {
+        const minutes = Math.round(ttl / 60000);
+
+        try {
+            await this.transport.send({
+                to,
+                subject: 'Your Voice AI Friend sign-in link',
+                text: `Open this link to sign in to Voice AI Friend:\n\n${link}\n\n` +
+                    `It works once and expires in ${minutes} minutes. If you didn't ask for it, you can ignore this email.`,
+                link,
+            });
+            this.sent++;
+        } catch (error) {
+            this.failed++;
+            throw error;
+        }
+    }
+
+    /**
+     * Get mailer statistics
+     */
+    getStats() {
+        return {
+            transport: this.transport.name || 'custom',
+            sent: this.sent,
+            failed: this.failed,
+        };
+    }
+}
+
+// Singleton instance
+const mailer = new Mailer();
+
+module.exports = mailer;
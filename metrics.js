@@ -0,0 +1,182 @@
+/**
+ * Metrics - Counters, gauges and histograms rendered in the Prometheus text format
+ * Served by /metrics; small enough that no client library is needed
+ */
+
+// Seconds; voice replies should land well under a second
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Pipeline sources reported as-is; dataset replies carry the dataset's source URL
+const PIPELINE_SOURCES = ['llm', 'llm-cache', 'llm-paraphrase', 'generic', 'timeout-fallback', 'safety'];
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string for no labels)
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(name => {
+        const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${value}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = formatLabels(labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        this.values.forEach((value, key) => lines.push(`${this.name}${key} ${value}`));
+        return lines;
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+
+        this.series.forEach((series, key) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${key} ${Number(series.sum.toFixed(6))}`);
+            lines.push(`${this.name}_count${key} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+class Metrics {
+    constructor() {
+        this.responseLatency = new Histogram(
+            'voice_ai_response_latency_seconds',
+            'Time to a complete reply, by source (dataset, llm, llm-cache, llm-paraphrase, generic, timeout-fallback, safety, error)',
+            LATENCY_BUCKETS
+        );
+        this.messages = new Counter('voice_ai_messages_total', 'User messages received');
+        this.llmRequests = new Counter('voice_ai_llm_requests_total', 'LLM provider calls by outcome (success, error, aborted)');
+        this.llmTokens = new Counter('voice_ai_llm_tokens_total', 'LLM tokens used, by type (prompt, completion)');
+        this.keywordHits = new Counter('voice_ai_dataset_keyword_hits_total', 'Dataset replies by keyword bucket of the matched prompt');
+
+        // Per-second message counts for the last minute (ring buffer)
+        this.messageSlots = Array.from({ length: 60 }, () => ({ second: 0, count: 0 }));
+
+        // Gauges read at scrape time: [{ name, help, collect }]
+        this.gauges = [];
+
+        this.addGauge('voice_ai_messages_per_minute', 'User messages received in the last 60 seconds', () => this.messagesPerMinute());
+    }
+
+    /**
+     * Register a gauge whose value is read on every scrape
+     */
+    addGauge(name, help, collect) {
+        this.gauges.push({ name, help, collect });
+    }
+
+    /**
+     * Count a user message (any transport)
+     */
+    recordMessage() {
+        this.messages.inc();
+
+        const second = Math.floor(Date.now() / 1000);
+        const slot = this.messageSlots[second % 60];
+        if (slot.second !== second) {
+            slot.second = second;
+            slot.count = 0;
+        }
+        slot.count++;
+    }
+
+    messagesPerMinute() {
+        const now = Math.floor(Date.now() / 1000);
+        return this.messageSlots.reduce((total, slot) => (now - slot.second < 60 ? total + slot.count : total), 0);
+    }
+
+    /**
+     * Record a finished reply's latency (ms) under its pipeline source
+     */
+    recordResponse(source, latency) {
+        this.responseLatency.observe({ source: Metrics.sourceLabel(source) }, latency / 1000);
+    }
+
+    /**
+     * Record one LLM call and the tokens it used
+     */
+    recordLLMRequest(provider, outcome, usage = null) {
+        this.llmRequests.inc({ provider, outcome });
+
+        if (usage) {
+            this.llmTokens.inc({ provider, type: 'prompt' }, usage.prompt_tokens || 0);
+            this.llmTokens.inc({ provider, type: 'completion' }, usage.completion_tokens || 0);
+        }
+    }
+
+    /**
+     * Record the keyword buckets of a matched dataset prompt
+     */
+    recordKeywordHits(keywords) {
+        keywords.forEach(keyword => this.keywordHits.inc({ keyword }));
+    }
+
+    /**
+     * Metric label for a pipeline source
+     */
+    static sourceLabel(source) {
+        if (source === 'fallback') return 'error';
+        return PIPELINE_SOURCES.includes(source) ? source : 'dataset';
+    }
+
+    /**
+     * Everything in the Prometheus text exposition format
+     */
+    render() {
+        const lines = [];
+
+        this.gauges.forEach(({ name, help, collect }) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`);
+        });
+
+        [this.messages, this.responseLatency, this.llmRequests, this.llmTokens, this.keywordHits]
+            .forEach(metric => lines.push(...metric.render()));
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Singleton instance
+const metrics = new Metrics();
+
+module.exports = metrics;
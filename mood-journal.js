@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const emotionClassifier = require('./emotion-classifier');
+const logger = require('./logger');
+
+/**
+ * Mood Journal - Dated mood entries per user, kept longer than conversations
+ * Append-only JSON lines, replayed and compacted on startup:
+ * { ownerId, timestamp, kind: 'message' | 'check-in', emotion, intensity, valence, topics }
+ * Only labels and topics are stored, never what was said
+ */
+
+// What people talk about, for the "most frequent topics" view
+const TOPICS = {
+    work: ['work', 'job', 'boss', 'office', 'career', 'coworker', 'colleague', 'deadline', 'meeting'],
+    school: ['school', 'exam', 'exams', 'test', 'class', 'college', 'university', 'homework', 'study', 'grades'],
+    family: ['family', 'mom', 'mother', 'dad', 'father', 'parents', 'brother', 'sister', 'son', 'daughter', 'kids'],
+    relationships: ['boyfriend', 'girlfriend', 'partner', 'husband', 'wife', 'breakup', 'broke up', 'dating', 'relationship'],
+    friends: ['friend', 'friends', 'friendship'],
+    health: ['sick', 'health', 'doctor', 'pain', 'hospital', 'illness'],
+    sleep: ['sleep', 'insomnia', 'nightmare', 'nightmares', 'nap'],
+    money: ['money', 'rent', 'bills', 'debt', 'salary'],
+};
+
+const TOPIC_PATTERNS = Object.keys(TOPICS).map(topic => ({
+    topic,
+    pattern: new RegExp(`\\b(${TOPICS[topic].join('|')})\\b`),
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Owner-only: moods and topics are personal even without the message text
+const FILE_MODE = 0o600;
+
+class MoodJournal {
+    constructor() {
+        this.entries = new Map(); // ownerId -> entries, oldest first
+        this.dayFormats = new Map(); // timeZone -> Intl.DateTimeFormat
+        this.stream = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Replay the journal file, drop entries past retention and rewrite it
+     */
+    load() {
+        const storePath = config.journal.storePath;
+        const cutoff = Date.now() - config.journal.retentionDays * DAY_MS;
+
+        if (fs.existsSync(storePath)) {
+            fs.readFileSync(storePath, 'utf8').split('\n').forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.timestamp >= cutoff) {
+                        this._add(entry);
+                    }
+                } catch (error) {
+                    // Skip a torn last line
+                }
+            });
+        }
+
+        try {
+            const lines = [];
+            this.entries.forEach(entries => entries.forEach(entry => lines.push(JSON.stringify(entry))));
+
+            fs.mkdirSync(path.dirname(storePath), { recursive: true });
+            const tmpPath = `${storePath}.tmp`;
+            fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', { mode: FILE_MODE });
+            fs.chmodSync(tmpPath, FILE_MODE);
+            fs.renameSync(tmpPath, storePath);
+        } catch (error) {
+            logger.error('Error compacting mood journal', { error });
+        }
+
+        this.stream = fs.createWriteStream(storePath, { flags: 'a', mode: FILE_MODE });
+        this.stream.on('error', (error) => {
+            logger.error('Mood journal write error', { error });
+        });
+
+        this.loaded = true;
+        logger.info('Mood journal loaded', { owners: this.entries.size });
+    }
+
+    /**
+     * Whose journal a session writes to: its account's, so the history follows the user
+     * to new sessions and devices, or for guests the session's own
+     */
+    ownerOf(session) {
+        return session.accountId || session.id;
+    }
+
+    /**
+     * Record a labelled user message or check-in answer
+     */
+    record(ownerId, { kind = 'message', emotion, intensity, topics = [] }) {
+        const entry = {
+            ownerId,
+            timestamp: Date.now(),
+            kind,
+            emotion,
+            intensity,
+            valence: emotionClassifier.getValence({ emotion, intensity }),
+            topics,
+        };
+
+        this._add(entry);
+        if (this.stream) {
+            this.stream.write(JSON.stringify(entry) + '\n');
+        }
+        return entry;
+    }
+
+    /**
+     * Topics mentioned in a message
+     */
+    extractTopics(text) {
+        const normalized = text.toLowerCase();
+        return TOPIC_PATTERNS.filter(({ pattern }) => pattern.test(normalized)).map(({ topic }) => topic);
+    }
+
+    /**
+     * Whether the owner already checked in on the given day
+     */
+    hasCheckedIn(ownerId, date, timeZone = 'UTC') {
+        return (this.entries.get(ownerId) || [])
+            .some(entry => entry.kind === 'check-in' && this.dayKey(entry.timestamp, timeZone) === date);
+    }
+
+    /**
+     * Entries, per-day summaries and top topics between two dates (inclusive, YYYY-MM-DD)
+     * Days are calendar days in timeZone (IANA name); throws RangeError for unknown zones
+     */
+    query(ownerId, { from, to, timeZone = 'UTC' }) {
+        const entries = (this.entries.get(ownerId) || [])
+            .map(({ timestamp, kind, emotion, intensity, valence, topics }) => ({
+                date: this.dayKey(timestamp, timeZone),
+                timestamp,
+                kind,
+                emotion,
+                intensity,
+                valence,
+                topics,
+            }))
+            .filter(entry => entry.date >= from && entry.date <= to);
+
+        const days = new Map();
+        const topicCounts = {};
+
+        entries.forEach(entry => {
+            if (!days.has(entry.date)) {
+                days.set(entry.date, { date: entry.date, entries: 0, valence: 0, emotions: {}, checkIn: null });
+            }
+            const day = days.get(entry.date);
+            day.entries++;
+            day.valence += entry.valence;
+            if (entry.emotion !== 'neutral') {
+                day.emotions[entry.emotion] = (day.emotions[entry.emotion] || 0) + entry.intensity;
+            }
+            if (entry.kind === 'check-in') {
+                day.checkIn = { emotion: entry.emotion, intensity: entry.intensity, timestamp: entry.timestamp };
+            }
+
+            entry.topics.forEach(topic => {
+                topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+            });
+        });
+
+        return {
+            from,
+            to,
+            timeZone,
+            entries,
+            days: [...days.values()].map(({ emotions, valence, ...day }) => ({
+                ...day,
+                averageValence: Number((valence / day.entries).toFixed(2)),
+                dominantEmotion: Object.entries(emotions).sort((a, b) => b[1] - a[1])[0]?.[0] || 'neutral',
+            })),
+            topics: Object.entries(topicCounts)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, config.journal.topTopics)
+                .map(([topic, count]) => ({ topic, count })),
+        };
+    }
+
+    /**
+     * Calendar day (YYYY-MM-DD) of a timestamp in a time zone
+     */
+    dayKey(timestamp, timeZone = 'UTC') {
+        let format = this.dayFormats.get(timeZone);
+        if (!format) {
+            format = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+            this.dayFormats.set(timeZone, format);
+        }
+        return format.format(new Date(timestamp));
+    }
+
+    /**
+     * Flush pending writes (on shutdown)
+     */
+    close(callback) {
+        if (this.stream) {
+            this.stream.end(callback);
+            this.stream = null;
+        } else if (callback) {
+            callback();
+        }
+    }
+
+    _add(entry) {
+        if (!this.entries.has(entry.ownerId)) {
+            this.entries.set(entry.ownerId, []);
+        }
+        this.entries.get(entry.ownerId).push(entry);
+    }
+
+    /**
+     * Get journal statistics
+     */
+    getStats() {
+        let entries = 0;
+        this.entries.forEach(list => {
+            entries += list.length;
+        });
+
+        return {
+            owners: this.entries.size,
+            entries,
+            loaded: this.loaded,
+        };
+    }
+}
+
+// Singleton instance
+const moodJournal = new MoodJournal();
+
+module.exports = moodJournal;
@@ -0,0 +1,236 @@
+/**
+ * Voice AI Friend - Offline Responder
+ * Answers from the exported dataset index (GET /api/dataset-index) while the server
+ * is unreachable. Matching mirrors dataset-loader.js: the same tokenizer, negation
+ * scoping and TF-IDF cosine similarity, without conversation context or the LLM.
+ * Like the server, it checks every message against the safety rules first.
+ *
+ * Loaded by the browser (<script>) and usable from Node (require) for checks.
+ */
+(function (root) {
+    class OfflineResponder {
+        /**
+         * exported is the JSON from datasetLoader.exportIndex()
+         */
+        constructor(exported) {
+            this.defaultLanguage = exported.defaultLanguage;
+            this.matchThreshold = exported.matchThreshold;
+            this.locales = {};
+            this.safety = {};
+
+            Object.keys(exported.languages).forEach(language => {
+                const index = exported.languages[language];
+                this.locales[language] = {
+                    ...index,
+                    stopwords: new Set(index.stopwords),
+                    negations: new Set(index.negations),
+                    contractions: index.contractions.map(([pattern, replacement]) => [new RegExp(pattern, 'g'), replacement]),
+                };
+            });
+
+            // Indexes exported with the safety layer off (or before it was exported) have none
+            const safety = exported.safety ? exported.safety.languages : {};
+            Object.keys(safety).forEach(language => {
+                const rules = safety[language];
+                const compile = (patterns, flags) => patterns.map(pattern => new RegExp(pattern, flags));
+                this.safety[language] = {
+                    ...rules,
+                    contractions: rules.contractions.map(([pattern, replacement]) => [new RegExp(pattern, 'g'), replacement]),
+                    suicidal: compile(rules.suicidal),
+                    selfHarm: compile(rules.selfHarm),
+                    safePhrases: compile(rules.safePhrases, 'g'),
+                    negatedPrefix: new RegExp(rules.negatedPrefix),
+                };
+            });
+        }
+
+        /**
+         * Reply to a message in a language (the default language if it isn't exported)
+         * Returns { text, source: 'offline', confidence } - confidence is null for generic replies
+         * A crisis message gets the escalation reply instead:
+         * { text, source: 'safety', confidence: null, safety: { category, helpline } }
+         */
+        respond(text, language = this.defaultLanguage) {
+            const crisis = this.classify(text, language);
+            if (crisis) {
+                const rules = this.safety[crisis.language];
+                return {
+                    text: rules.escalation[crisis.category],
+                    source: 'safety',
+                    confidence: null,
+                    safety: { category: crisis.category, helpline: rules.helpline },
+                };
+            }
+
+            const index = this.locales[language] || this.locales[this.defaultLanguage];
+            const query = this._vectorize(index, this._extractTerms(index, text));
+
+            let best = null;
+            let bestScore = 0;
+            index.documents.forEach(doc => {
+                let score = 0;
+                Object.keys(query).forEach(term => {
+                    if (doc.vector[term]) score += query[term] * doc.vector[term];
+                });
+                if (score > bestScore) {
+                    best = doc;
+                    bestScore = score;
+                }
+            });
+
+            if (best && bestScore >= this.matchThreshold) {
+                return {
+                    text: best.replies[Math.floor(Math.random() * best.replies.length)],
+                    source: 'offline',
+                    confidence: Number(bestScore.toFixed(3)),
+                };
+            }
+            return { text: this._genericReply(index, text), source: 'offline', confidence: null };
+        }
+
+        /**
+         * Crisis check as in safety-classifier.js: every language's rules, the given one first
+         * Returns { category, language } for a flagged message, or null
+         */
+        classify(text, language = this.defaultLanguage) {
+            const languages = Object.keys(this.safety).sort((a, b) => (b === language) - (a === language));
+
+            for (const code of languages) {
+                const rules = this.safety[code];
+                const normalized = rules.safePhrases.reduce(
+                    (result, pattern) => result.replace(pattern, ' '),
+                    this._normalizeForSafety(text, rules)
+                );
+
+                if (this._matchesAny(normalized, rules.suicidal, rules.negatedPrefix)) {
+                    return { category: 'suicidal_intent', language: code };
+                }
+                if (this._matchesAny(normalized, rules.selfHarm, rules.negatedPrefix)) {
+                    return { category: 'self_harm', language: code };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Lowercase, drop accents, unify apostrophes and expand contractions
+         */
+        _normalizeForSafety(text, rules) {
+            const normalized = text
+                .toLowerCase()
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .replace(/[‘’`]/g, "'");
+
+            return rules.contractions
+                .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), normalized)
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+
+        /**
+         * Whether any pattern matches without a negation right before it
+         */
+        _matchesAny(text, patterns, negatedPrefix) {
+            return patterns.some(pattern => {
+                const match = pattern.exec(text);
+                return match && !negatedPrefix.test(text.slice(0, match.index));
+            });
+        }
+
+        /**
+         * Greeting/thanks/goodbye or default reply, as the server does without an LLM
+         */
+        _genericReply(index, text) {
+            const input = text.toLowerCase();
+            const { greetings, thanks, goodbyes, replies } = index.generic;
+            const mentions = (words) => words.some(word => input.includes(word));
+
+            if (mentions(greetings)) return replies.greeting;
+            if (mentions(thanks)) return replies.thanks;
+            if (mentions(goodbyes)) return replies.goodbye;
+            return replies.default;
+        }
+
+        /**
+         * Lowercase, expand contractions and split into word tokens
+         */
+        _tokenize(index, text) {
+            let normalized = text.toLowerCase().replace(/[‘’`]/g, "'");
+            index.contractions.forEach(([pattern, replacement]) => {
+                normalized = normalized.replace(pattern, replacement);
+            });
+
+            return normalized
+                .replace(/[^\p{L}\p{N}'\s.,!?;:]/gu, ' ')
+                .split(/\s+/)
+                .filter(Boolean);
+        }
+
+        /**
+         * Unigram + bigram terms with stopword removal and negation scoping
+         */
+        _extractTerms(index, text) {
+            const words = [];
+            let negated = 0;
+
+            this._tokenize(index, text).forEach(token => {
+                const endsClause = /[.,!?;:]$/.test(token);
+                const word = token.replace(/[^\p{L}\p{N}']/gu, '').replace(/'/g, '');
+
+                if (word) {
+                    if (index.negations.has(word)) {
+                        negated = 3;
+                    } else if (index.stopwords.has(word)) {
+                        // Skip filler words
+                    } else if (negated > 0) {
+                        words.push(`not_${word}`);
+                        negated--;
+                    } else {
+                        words.push(word);
+                    }
+                }
+
+                if (endsClause) {
+                    negated = 0;
+                }
+            });
+
+            const terms = [...words];
+            for (let i = 0; i < words.length - 1; i++) {
+                terms.push(`${words[i]} ${words[i + 1]}`);
+            }
+            return terms;
+        }
+
+        /**
+         * L2-normalized TF-IDF vector ({ term: weight }) for a list of terms
+         */
+        _vectorize(index, terms) {
+            const vector = {};
+            terms.forEach(term => {
+                vector[term] = (vector[term] || 0) + 1;
+            });
+
+            let norm = 0;
+            Object.keys(vector).forEach(term => {
+                vector[term] *= index.idf[term] || index.maxIdf;
+                norm += vector[term] * vector[term];
+            });
+
+            norm = Math.sqrt(norm);
+            if (norm > 0) {
+                Object.keys(vector).forEach(term => {
+                    vector[term] /= norm;
+                });
+            }
+            return vector;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OfflineResponder;
+    } else {
+        root.OfflineResponder = OfflineResponder;
+    }
+})(typeof window !== 'undefined' ? window : this);
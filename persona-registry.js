@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Persona Registry - Named AI personalities, one JSON file each in config.personas.dir
+ * A persona brings its own system prompt, the dataset keywords its LLM examples are
+ * drawn from, voice defaults for the browser and a response length
+ */
+class PersonaRegistry {
+    constructor() {
+        this.personas = new Map();
+        this.loaded = false;
+    }
+
+    /**
+     * Read every persona file; invalid files are skipped, a missing default is fatal
+     */
+    load() {
+        const dir = config.personas.dir;
+
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .forEach(file => {
+                const id = path.basename(file, '.json');
+                try {
+                    this.personas.set(id, this._parse(id, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+                } catch (error) {
+                    logger.warn('Skipping invalid persona', { file, error });
+                }
+            });
+
+        if (!this.personas.has(config.personas.default)) {
+            throw new Error(`Default persona "${config.personas.default}" not found in ${dir}`);
+        }
+
+        this.loaded = true;
+        logger.info('Personas loaded', { personas: [...this.personas.keys()] });
+    }
+
+    /**
+     * Validate a persona file and fill in defaults
+     */
+    _parse(id, definition) {
+        if (typeof definition.name !== 'string' || typeof definition.systemPrompt !== 'string') {
+            throw new Error('name and systemPrompt are required');
+        }
+
+        const voice = { gender: config.voice.default, rate: 1.0, pitch: 1.0, ...definition.voice };
+        if (!['female', 'male'].includes(voice.gender)) {
+            throw new Error('voice.gender must be female or male');
+        }
+
+        return {
+            id,
+            name: definition.name,
+            description: definition.description || '',
+            systemPrompt: definition.systemPrompt,
+            exampleKeywords: definition.exampleKeywords || [],
+            voice,
+            response: { maxSentences: 2, maxTokens: null, ...definition.response },
+        };
+    }
+
+    /**
+     * Persona by id, falling back to the default persona
+     */
+    get(id) {
+        if (!this.loaded) {
+            this.load();
+        }
+        return this.personas.get(id) || this.personas.get(config.personas.default);
+    }
+
+    /**
+     * Whether a persona with this id exists
+     */
+    has(id) {
+        return this.personas.has(id);
+    }
+
+    /**
+     * What clients need to offer a persona picker
+     */
+    list() {
+        return [...this.personas.values()].map(({ id, name, description, voice }) => ({
+            id,
+            name,
+            description,
+            voice,
+            default: id === config.personas.default,
+        }));
+    }
+
+    /**
+     * Get registry statistics
+     */
+    getStats() {
+        return {
+            personas: this.personas.size,
+            default: config.personas.default,
+            loaded: this.loaded,
+        };
+    }
+}
+
+// Singleton instance
+const personaRegistry = new PersonaRegistry();
+
+module.exports = personaRegistry;
@@ -0,0 +1,244 @@
+/**
+ * Voice AI Friend - WebSocket Protocol
+ * Message schemas shared by the server (require) and the browser (<script>)
+ *
+ * Every message is a JSON object with a string `type`. Clients open with `hello`
+ * and wait for `welcome` before sending anything else. Any client message may
+ * carry a `requestId`, which the server echoes on every message it sends in reply.
+ */
+(function (root) {
+    const PROTOCOL_VERSION = 1;
+    const SUPPORTED_VERSIONS = [1];
+
+    const ERROR_CODES = {
+        INVALID_JSON: 'invalid_json',
+        INVALID_MESSAGE: 'invalid_message',
+        UNKNOWN_TYPE: 'unknown_type',
+        UNSUPPORTED_VERSION: 'unsupported_version',
+        HANDSHAKE_REQUIRED: 'handshake_required',
+        EMPTY_MESSAGE: 'empty_message',
+        MESSAGE_TOO_LONG: 'message_too_long',
+        SESSION_NOT_FOUND: 'session_not_found',
+        INVALID_CREDENTIALS: 'invalid_credentials',
+        EMAIL_TAKEN: 'email_taken',
+        INTERNAL_ERROR: 'internal_error',
+    };
+
+    // Fields allowed on every message
+    const COMMON_FIELDS = {
+        type: { type: 'string', required: true },
+        requestId: { type: 'string', maxLength: 64 },
+    };
+
+    // Client -> Server
+    const CLIENT_MESSAGES = {
+        hello: {
+            protocolVersion: { type: 'number', required: true },
+            client: { type: 'string', maxLength: 100 },
+        },
+        user_message: {
+            text: { type: 'string', required: true },
+        },
+        resume_session: {
+            sessionToken: { type: 'string', required: true, maxLength: 200 },
+        },
+        voice_config: {
+            gender: { type: 'string', required: true, enum: ['female', 'male'] },
+        },
+        // 'auto' (answer in the language of each message) or a code from welcome's languages
+        language_config: {
+            language: { type: 'string', required: true, maxLength: 16 },
+        },
+        // An id from welcome's personas; applies from the next user_message on
+        persona_config: {
+            persona: { type: 'string', required: true, maxLength: 64 },
+        },
+        // Abandon the reply still being generated (e.g. the user talked over it); it ends
+        // with response_cancelled. Ignored when no reply is in flight
+        cancel_response: {},
+        // The next user_message is recorded as today's check-in
+        check_in_start: {
+            timeZone: { type: 'string', maxLength: 64 },
+        },
+        ping: {},
+    };
+
+    // Server -> Client
+    const SERVER_MESSAGES = {
+        welcome: {
+            protocolVersion: { type: 'number', required: true },
+            sessionId: { type: 'string', required: true },
+            sessionToken: { type: 'string', required: true },
+            message: { type: 'string' },
+            pingInterval: { type: 'number', required: true },
+            maxMessageLength: { type: 'number', required: true },
+            languages: { type: 'array' }, // [{ code, name, locale }]
+            personas: { type: 'array' }, // [{ id, name, description, voice, default }]
+            account: { type: 'object', nullable: true }, // { id, email, settings } when signed in, null for guests
+        },
+        session_resumed: {
+            sessionId: { type: 'string', required: true },
+            voiceGender: { type: 'string', required: true },
+            language: { type: 'string' },
+            persona: { type: 'string' },
+            history: { type: 'array', required: true },
+            mood: { type: 'object', nullable: true },
+        },
+        // language: the language the reply is in; emotion: { emotion, intensity } of the user message; mood: { emotion, intensity, valence } of the session;
+        // checkIn: { date, emotion, intensity } when the message answered a check-in
+        ai_response: {
+            text: { type: 'string', required: true },
+            source: { type: 'string', required: true },
+            confidence: { type: 'number' },
+            latency: { type: 'number', required: true },
+            voiceGender: { type: 'string' },
+            language: { type: 'string' },
+            emotion: { type: 'object' },
+            mood: { type: 'object' },
+            checkIn: { type: 'object' },
+        },
+        ai_response_start: {
+            voiceGender: { type: 'string' },
+            language: { type: 'string' },
+            emotion: { type: 'object' },
+            mood: { type: 'object' },
+        },
+        ai_response_chunk: {
+            text: { type: 'string', required: true },
+        },
+        ai_response_end: {
+            text: { type: 'string', required: true },
+            source: { type: 'string', required: true },
+            latency: { type: 'number', required: true },
+            firstChunkLatency: { type: 'number', nullable: true },
+            voiceGender: { type: 'string' },
+            language: { type: 'string' },
+            emotion: { type: 'object' },
+            mood: { type: 'object' },
+            checkIn: { type: 'object' },
+        },
+        safety_alert: {
+            text: { type: 'string', required: true },
+            category: { type: 'string', required: true },
+            region: { type: 'string' },
+            helpline: { type: 'string', required: true },
+            latency: { type: 'number' },
+            voiceGender: { type: 'string' },
+            language: { type: 'string' },
+            emotion: { type: 'object' },
+            mood: { type: 'object' },
+            checkIn: { type: 'object' },
+        },
+        // Final message for a user_message whose reply was cancelled
+        response_cancelled: {
+            emotion: { type: 'object' },
+            mood: { type: 'object' },
+            checkIn: { type: 'object' },
+        },
+        check_in_prompt: {
+            text: { type: 'string', required: true },
+            alreadyCheckedIn: { type: 'boolean', required: true },
+        },
+        rate_limited: {
+            reason: { type: 'string', required: true, enum: ['connection', 'ip', 'busy'] },
+            retryAfter: { type: 'number', required: true },
+            message: { type: 'string' },
+        },
+        config_updated: {
+            gender: { type: 'string', required: true },
+        },
+        language_updated: {
+            language: { type: 'string', required: true },
+        },
+        persona_updated: {
+            persona: { type: 'string', required: true },
+        },
+        pong: {},
+        error: {
+            code: { type: 'string', required: true },
+            message: { type: 'string', required: true },
+        },
+    };
+
+    /**
+     * JSON type name of a value ('array' and 'null' are distinguished from 'object')
+     */
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Check a message's fields against a field spec, returning error strings
+     * Unknown extra fields are allowed so newer peers stay compatible
+     */
+    function validateFields(message, fields) {
+        const errors = [];
+
+        Object.keys(fields).forEach(name => {
+            const spec = fields[name];
+            const value = message[name];
+
+            if (value === undefined || (value === null && spec.nullable)) {
+                if (spec.required && value === undefined) {
+                    errors.push(`"${name}" is required`);
+                }
+                return;
+            }
+
+            if (typeOf(value) !== spec.type) {
+                errors.push(`"${name}" must be a ${spec.type}`);
+            } else if (spec.enum && !spec.enum.includes(value)) {
+                errors.push(`"${name}" must be one of ${spec.enum.join(', ')}`);
+            } else if (spec.maxLength && value.length > spec.maxLength) {
+                errors.push(`"${name}" must be at most ${spec.maxLength} characters`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a parsed message against a schema table
+     * Returns { valid: true } or { valid: false, code, message }
+     */
+    function validate(message, schemas) {
+        if (typeOf(message) !== 'object') {
+            return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be a JSON object' };
+        }
+
+        const commonErrors = validateFields(message, COMMON_FIELDS);
+        if (commonErrors.length > 0) {
+            return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, message: commonErrors.join('; ') };
+        }
+
+        // Own keys only: "constructor", "toString" and "__proto__" are not message types
+        if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+            return { valid: false, code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type "${message.type}"` };
+        }
+
+        const errors = validateFields(message, schemas[message.type]);
+        if (errors.length > 0) {
+            return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, message: `${message.type}: ${errors.join('; ')}` };
+        }
+
+        return { valid: true };
+    }
+
+    const Protocol = {
+        PROTOCOL_VERSION,
+        SUPPORTED_VERSIONS,
+        ERROR_CODES,
+        CLIENT_MESSAGES,
+        SERVER_MESSAGES,
+        validateClientMessage: (message) => validate(message, CLIENT_MESSAGES),
+        validateServerMessage: (message) => validate(message, SERVER_MESSAGES),
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Protocol;
+    } else {
+        root.VoiceAIProtocol = Protocol;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,114 @@
+/**
+ * Rate Limiter - Token buckets for user messages
+ * Each key (connection or client IP) gets a bucket that refills continuously
+ */
+
+class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Take one token if available
+     * Returns { allowed, retryAfter } with retryAfter in ms
+     */
+    take() {
+        this._refill();
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return { allowed: true, retryAfter: 0 };
+        }
+
+        const retryAfter = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+        return { allowed: false, retryAfter };
+    }
+
+    /**
+     * Whether the bucket has refilled completely (safe to forget)
+     */
+    isFull() {
+        this._refill();
+        return this.tokens >= this.capacity;
+    }
+
+    _refill() {
+        const now = Date.now();
+        const elapsed = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+}
+
+class RateLimiter {
+    constructor({ capacity, refillPerSecond }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.buckets = new Map();
+        this.limited = 0;
+    }
+
+    /**
+     * Take one token from the key's bucket
+     */
+    consume(key) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket(this.capacity, this.refillPerSecond);
+            this.buckets.set(key, bucket);
+        }
+
+        const result = bucket.take();
+        if (!result.allowed) {
+            this.limited++;
+        }
+        return result;
+    }
+
+    /**
+     * Drop buckets that have fully refilled to keep memory bounded
+     */
+    prune() {
+        this.buckets.forEach((bucket, key) => {
+            if (bucket.isFull()) {
+                this.buckets.delete(key);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            trackedKeys: this.buckets.size,
+            limited: this.limited,
+        };
+    }
+}
+
+/**
+ * Client IP for a request; behind trusted proxies (e.g. Render) it is the X-Forwarded-For
+ * entry the outermost trusted proxy appended. trustProxy is the number of proxies in
+ * front of the server (true means one). Earlier entries come from the client and can be
+ * anything, so they are never used
+ */
+function getClientIp(req, trustProxy) {
+    const hops = trustProxy === true ? 1 : Number(trustProxy) || 0;
+    const forwarded = req.headers['x-forwarded-for'];
+
+    if (hops > 0 && forwarded) {
+        // Fewer entries than proxies: the header didn't pass through all of them
+        const entries = forwarded.split(',').map(entry => entry.trim()).filter(Boolean);
+        if (entries.length >= hops) {
+            return entries[entries.length - hops];
+        }
+    }
+    return req.socket.remoteAddress;
+}
+
+module.exports = {
+    TokenBucket,
+    RateLimiter,
+    getClientIp,
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Response Cache - Bounded LRU cache for LLM answers
+ * Keys are normalized user inputs; Map insertion order doubles as recency order
+ */
+class ResponseCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : config.performance.cacheEnabled;
+        this.maxSize = options.maxSize || config.performance.maxCacheSize;
+        this.ttl = options.ttl !== undefined ? options.ttl : config.performance.cacheTtl;
+        this.persistPath = options.persistPath !== undefined ? options.persistPath : config.performance.cachePersistPath;
+
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.expirations = 0;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Normalize input so trivial differences share an entry
+     * ("I'm SO tired!!" and "i'm so tired" hit the same key)
+     */
+    static normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/[‘’`]/g, "'")
+            .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Look up a cached response, refreshing its recency
+     */
+    get(input) {
+        if (!this.enabled) return null;
+
+        const key = ResponseCache.normalize(input);
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+
+        if (this._isExpired(entry)) {
+            this.entries.delete(key);
+            this.expirations++;
+            this.misses++;
+            return null;
+        }
+
+        // Move to most-recently-used position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.response;
+    }
+
+    /**
+     * Store a response, evicting least-recently-used entries beyond maxSize
+     */
+    set(input, response) {
+        if (!this.enabled) return;
+
+        const key = ResponseCache.normalize(input);
+        if (!key) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, { response, createdAt: Date.now() });
+
+        while (this.entries.size > this.maxSize) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.evictions++;
+        }
+
+        this._scheduleSave();
+    }
+
+    /**
+     * Load persisted entries, skipping expired ones
+     */
+    load() {
+        if (!this.enabled || !this.persistPath || !fs.existsSync(this.persistPath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+
+            (data.entries || []).forEach(([key, entry]) => {
+                if (!this._isExpired(entry)) {
+                    this.entries.set(key, entry);
+                }
+            });
+
+            while (this.entries.size > this.maxSize) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+
+            logger.info('LLM cache restored', { entries: this.entries.size });
+        } catch (error) {
+            logger.error('Error loading LLM cache', { error });
+        }
+    }
+
+    /**
+     * Write entries to disk (temp file + rename so a crash never leaves half a file)
+     */
+    save() {
+        if (!this.enabled || !this.persistPath) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            const tmpPath = `${this.persistPath}.tmp`;
+            fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                entries: [...this.entries.entries()],
+            }));
+            fs.renameSync(tmpPath, this.persistPath);
+        } catch (error) {
+            logger.error('Error saving LLM cache', { error });
+        }
+    }
+
+    /**
+     * Batch writes: save a few seconds after the latest change
+     */
+    _scheduleSave() {
+        if (!this.persistPath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => this.save(), 5000);
+        this.saveTimer.unref();
+    }
+
+    _isExpired(entry) {
+        return this.ttl > 0 && Date.now() - entry.createdAt > this.ttl;
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            ttl: this.ttl,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            expirations: this.expirations,
+            persistent: !!this.persistPath,
+        };
+    }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Safety Classifier - Detects suicidal intent and self-harm before any reply
+ * Flagged messages get a vetted escalation response instead of a cached or LLM reply
+ */
+
+// Crisis patterns, safe phrases and escalation wording from the "safety" section of each
+// language's lexicon; text is expanded with the same lexicon's contractions first, so
+// "don't", "dont" and "do not" all read "do not" before matching
+const LOCALES = Object.keys(config.languages.supported).reduce((locales, language) => {
+    const lexicon = JSON.parse(fs.readFileSync(config.languages.supported[language].lexicon, 'utf8'));
+    const { safety } = lexicon;
+    if (!safety) return locales;
+
+    const compile = (patterns, flags) => patterns.map(pattern => new RegExp(pattern, flags));
+    locales[language] = {
+        contractions: lexicon.contractions.map(([pattern, replacement]) => [new RegExp(pattern, 'g'), replacement]),
+        suicidal: compile(safety.suicidal),
+        selfHarm: compile(safety.selfHarm),
+        safePhrases: compile(safety.safePhrases, 'g'),
+        negatedPrefix: new RegExp(safety.negatedPrefix),
+        openings: safety.openings,
+        escalation: safety.escalation,
+        helplines: safety.helplines || {},
+    };
+    return locales;
+}, {});
+
+// Owner-only: the review log holds what people said in a crisis
+const LOG_FILE_MODE = 0o600;
+
+class SafetyClassifier {
+    constructor() {
+        this.eventCount = 0;
+    }
+
+    /**
+     * Classify a user message
+     * Every language's patterns are tried, the given (reply) language first, so a crisis
+     * is caught even when the message's language was guessed wrong
+     * Returns { flagged, category, matched, language }
+     */
+    classify(text, language = config.languages.default) {
+        const languages = Object.keys(LOCALES).sort((a, b) => (b === language) - (a === language));
+
+        for (const code of languages) {
+            const locale = LOCALES[code];
+            const normalized = locale.safePhrases.reduce(
+                (result, pattern) => result.replace(pattern, ' '),
+                this._normalize(text, locale)
+            );
+
+            const suicidal = this._matchAny(normalized, locale.suicidal, locale.negatedPrefix);
+            if (suicidal) {
+                return { flagged: true, category: 'suicidal_intent', matched: suicidal, language: code };
+            }
+
+            const selfHarm = this._matchAny(normalized, locale.selfHarm, locale.negatedPrefix);
+            if (selfHarm) {
+                return { flagged: true, category: 'self_harm', matched: selfHarm, language: code };
+            }
+        }
+
+        return { flagged: false, category: null, matched: null, language: null };
+    }
+
+    /**
+     * Vetted escalation reply, in the language the message was flagged in, with the
+     * configured region's helpline
+     */
+    getEscalationResponse(result) {
+        const locale = this._getLocale(result.language);
+
+        return locale.escalation
+            .replace('{opening}', locale.openings[result.category] || locale.openings.suicidal_intent)
+            .replace('{helpline}', this.getHelpline(config.safety.region, result.language));
+    }
+
+    /**
+     * Helpline text for a region, translated when the language's lexicon has it,
+     * falling back to the default
+     */
+    getHelpline(region = config.safety.region, language = config.languages.default) {
+        const translated = this._getLocale(language).helplines;
+        const helplines = config.safety.helplines;
+        return translated[region] || helplines[region] || translated.DEFAULT || helplines.DEFAULT;
+    }
+
+    /**
+     * Patterns per language for the browser's offline responder (GET /api/dataset-index),
+     * with the escalation replies already worded for the configured region
+     */
+    exportRules() {
+        const source = (patterns) => patterns.map(pattern => pattern.source);
+        const languages = {};
+
+        Object.keys(LOCALES).forEach(language => {
+            const locale = LOCALES[language];
+            const escalate = (category) => this.getEscalationResponse({ category, language });
+            languages[language] = {
+                contractions: locale.contractions.map(([pattern, replacement]) => [pattern.source, replacement]),
+                suicidal: source(locale.suicidal),
+                selfHarm: source(locale.selfHarm),
+                safePhrases: source(locale.safePhrases),
+                negatedPrefix: locale.negatedPrefix.source,
+                escalation: { suicidal_intent: escalate('suicidal_intent'), self_harm: escalate('self_harm') },
+                helpline: this.getHelpline(config.safety.region, language),
+            };
+        });
+
+        return { region: config.safety.region, languages };
+    }
+
+    /**
+     * Append a flagged event to the review log (JSON lines)
+     * The review log keeps the full text; stdout only gets the category
+     */
+    logEvent(text, result, log = logger) {
+        this.eventCount++;
+        log.warn('Safety escalation', { category: result.category });
+
+        const entry = JSON.stringify({
+            timestamp: new Date().toISOString(),
+            category: result.category,
+            matched: result.matched,
+            language: result.language,
+            region: config.safety.region,
+            text,
+        });
+
+        // chmod also tightens a log created before the mode was set
+        fs.mkdir(path.dirname(config.safety.logPath), { recursive: true }, () => {
+            fs.appendFile(config.safety.logPath, entry + '\n', { mode: LOG_FILE_MODE }, (error) => {
+                if (error) {
+                    log.error('Failed to write safety log', { error });
+                    return;
+                }
+                fs.chmod(config.safety.logPath, LOG_FILE_MODE, () => {});
+            });
+        });
+    }
+
+    /**
+     * Lowercase, drop accents, unify apostrophes and expand contractions so patterns stay simple
+     */
+    _normalize(text, locale) {
+        const normalized = text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[‘’`]/g, "'");
+
+        return locale.contractions
+            .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), normalized)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Return the first non-negated phrase matching any pattern, or null
+     */
+    _matchAny(text, patterns, negatedPrefix) {
+        for (const pattern of patterns) {
+            const match = pattern.exec(text);
+            if (match && !negatedPrefix.test(text.slice(0, match.index))) {
+                return match[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Patterns and wording for a language, falling back to the default language
+     */
+    _getLocale(language) {
+        return LOCALES[language] || LOCALES[config.languages.default];
+    }
+
+    /**
+     * Get classifier statistics
+     */
+    getStats() {
+        return {
+            enabled: config.safety.enabled,
+            region: config.safety.region,
+            languages: Object.keys(LOCALES),
+            escalations: this.eventCount,
+        };
+    }
+}
+
+// Singleton instance
+const safetyClassifier = new SafetyClassifier();
+
+module.exports = safetyClassifier;
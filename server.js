@@ -2,9 +2,25 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const crypto = require('crypto');
 const config = require('./config');
 const datasetLoader = require('./dataset-loader');
 const aiPipeline = require('./ai-pipeline');
+const sessionStore = require('./session-store');
+const accountStore = require('./account-store');
+const mailer = require('./mailer');
+const emotionClassifier = require('./emotion-classifier');
+const moodJournal = require('./mood-journal');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const safetyClassifier = require('./safety-classifier');
+const personaRegistry = require('./persona-registry');
+const { handleUserMessage, cancelResponse, createChannel, getHttpChannel, ipLimiter } = require('./chat-handler');
+const { RateLimiter, getClientIp } = require('./rate-limiter');
+const { FORMATS, exportTranscript, parseTranscript } = require('./transcript');
+const Protocol = require('./protocol');
+
+const { ERROR_CODES } = Protocol;
 
 /**
  * Voice AI Friend - Main Server
@@ -13,10 +29,570 @@ const aiPipeline = require('./ai-pipeline');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({
+    server,
+    maxPayload: config.websocket.maxPayload,
+    verifyClient: authorizeUpgrade,
+});
+
+/**
+ * Signed-in clients connect with ?auth=<authToken>; the account is attached to the
+ * request for the connection handler. Without a token the socket is a guest, and a
+ * forged or expired token is refused with 401 before the upgrade
+ */
+function authorizeUpgrade({ req }, done) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('auth');
+    if (!token) {
+        done(true);
+        return;
+    }
+
+    req.account = accountStore.verifyToken(token);
+    if (!req.account) {
+        logger.info('Rejected WebSocket upgrade', { reason: 'invalid_auth_token', clientIp: getClientIp(req, config.rateLimit.trustProxy) });
+        done(false, 401, 'Invalid or expired auth token');
+        return;
+    }
+    done(true);
+}
+
+// Languages clients can choose from (sent with welcome)
+const supportedLanguages = Object.entries(config.languages.supported)
+    .map(([code, { name, locale }]) => ({ code, name, locale }));
+
+/**
+ * Whether a language setting is 'auto' or a configured language code
+ */
+function isLanguageSetting(language) {
+    return language === 'auto' || Object.prototype.hasOwnProperty.call(config.languages.supported, language);
+}
+
+// Client bootstrap: where to connect, which features to show and voice defaults
+// Readable from any origin so a frontend on a static host can use this backend
+app.get('/config.json', (req, res) => {
+    const forwardedProto = config.rateLimit.trustProxy && (req.get('x-forwarded-proto') || '').split(',')[0].trim();
+    const secure = req.secure || forwardedProto === 'https';
+
+    res.set({ 'Cache-Control': 'no-cache', 'Access-Control-Allow-Origin': '*' }).json({
+        wsUrl: config.client.publicWsUrl || `${secure ? 'wss' : 'ws'}://${req.get('host')}`,
+        features: config.client.features,
+        voice: {
+            default: config.voice.default,
+            premium: config.voice.enablePremium,
+        },
+    });
+});
+
+// Frontend files, served by name; everything else in this directory (session, account
+// and journal stores, logs, .env, server sources) must never be reachable over HTTP
+const PUBLIC_FILES = [
+    'index.html',
+    'app.js',
+    'style.css',
+    'protocol.js',
+    'offline-responder.js',
+    'service-worker.js',
+    'manifest.webmanifest',
+    'loading.html',
+    'loading.css',
+    'fantasy_galaxy.png',
+    'ball.png',
+    'background.jpg',
+];
+
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
+
+// Prometheus metrics (optionally behind a bearer token)
+if (config.metrics.enabled) {
+    app.get('/metrics', (req, res) => {
+        if (config.metrics.token && req.get('authorization') !== `Bearer ${config.metrics.token}`) {
+            res.status(401).send('Unauthorized\n');
+            return;
+        }
+
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+}
+
+// JSON bodies for the HTTP chat API
+const jsonBody = express.json({ limit: config.websocket.maxPayload });
+
+/**
+ * Send a protocol message as an HTTP JSON response
+ * Answers are 200, rate_limited is 429 (with Retry-After) and errors map by code
+ */
+function sendHttpMessage(res, { type, payload }, extra = {}) {
+    let status = 200;
+    if (type === 'rate_limited') {
+        status = 429;
+        res.set('Retry-After', String(Math.ceil(payload.retryAfter / 1000)));
+    } else if (type === 'error') {
+        status = {
+            [ERROR_CODES.SESSION_NOT_FOUND]: 404,
+            [ERROR_CODES.INVALID_CREDENTIALS]: 401,
+            [ERROR_CODES.EMAIL_TAKEN]: 409,
+            [ERROR_CODES.INTERNAL_ERROR]: 500,
+        }[payload.code] || 400;
+    }
+
+    res.status(status).json({ type, ...payload, ...extra });
+}
+
+/**
+ * Problem with an HTTP chat body as an error payload, or null when it is valid
+ */
+function validateHttpChat(body) {
+    const validation = Protocol.validateClientMessage({ ...body, type: 'user_message' });
+    if (!validation.valid) {
+        return { code: validation.code, message: validation.message };
+    }
+    if (body.sessionToken !== undefined && typeof body.sessionToken !== 'string') {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: 'user_message: "sessionToken" must be a string' };
+    }
+    if (body.language !== undefined && !isLanguageSetting(body.language)) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: `Unsupported language "${body.language}"` };
+    }
+    if (body.persona !== undefined && !personaRegistry.has(body.persona)) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: `Unknown persona "${body.persona}"` };
+    }
+    return null;
+}
+
+/**
+ * Signed-in account for an HTTP request ("X-Auth-Token: <authToken>"), or null for guests
+ */
+function accountFromRequest(req) {
+    const token = req.get('x-auth-token');
+    return token ? accountStore.verifyToken(token) : null;
+}
+
+/**
+ * Sessions that belong to an account are only usable by that account
+ */
+function canUseSession(session, account) {
+    return !session.accountId || session.accountId === (account && account.id);
+}
+
+/**
+ * Validate an HTTP chat request and resume (or start) its session
+ * Returns { channel, session, token }, or null after sending an error
+ */
+function openHttpChat(req, res) {
+    const body = req.body || {};
+    const problem = validateHttpChat(body);
+    if (problem) {
+        sendHttpMessage(res, { type: 'error', payload: problem });
+        return null;
+    }
+
+    const account = accountFromRequest(req);
+    let session;
+    let token = null;
+    if (body.sessionToken) {
+        session = sessionStore.resume(body.sessionToken);
+        if (!session || !canUseSession(session, account)) {
+            sendHttpMessage(res, {
+                type: 'error',
+                payload: { code: ERROR_CODES.SESSION_NOT_FOUND, message: 'That session has expired. Start a new one.' },
+            });
+            return null;
+        }
+    } else {
+        ({ session, token } = sessionStore.create(account ? account.settings : {}, account ? account.id : null));
+    }
+
+    return {
+        channel: getHttpChannel(session, getClientIp(req, config.rateLimit.trustProxy)),
+        session,
+        token,
+    };
+}
+
+/**
+ * Session fields for a reply; a new session hands out its token once, like the
+ * WebSocket welcome, unless nothing was saved to it (e.g. the message was rejected)
+ */
+function sessionFields(chat) {
+    if (!chat.token) return { sessionId: chat.session.id };
+    if (!chat.session.persisted) return {};
+    return { sessionId: chat.session.id, sessionToken: chat.token };
+}
+
+/**
+ * Drop a session created for this request if nothing was saved to it
+ */
+function closeHttpChat(chat) {
+    if (chat.token) sessionStore.release(chat.session);
+}
+
+/**
+ * Session whose token is sent as "Authorization: Bearer <sessionToken>", or null
+ */
+function sessionFromBearer(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' ? sessionStore.resume(token) : null;
+}
+
+/**
+ * Session named in the URL (or, without an :id, the bearer's own session); an
+ * account's session also needs that account's X-Auth-Token
+ * Otherwise sends session_not_found (never revealing whether the id exists) and returns null
+ */
+function authorizeSession(req, res) {
+    const session = sessionFromBearer(req);
+
+    if (!session || !canUseSession(session, accountFromRequest(req)) ||
+        (req.params.id !== undefined && session.id !== req.params.id)) {
+        sendHttpMessage(res, {
+            type: 'error',
+            payload: { code: ERROR_CODES.SESSION_NOT_FOUND, message: 'Session not found' },
+        });
+        return null;
+    }
+    return session;
+}
+
+const internalError = {
+    type: 'error',
+    payload: { code: ERROR_CODES.INTERNAL_ERROR, message: 'Sorry, I had trouble processing that. Can you try again?' },
+};
+
+// HTTP chat: one JSON reply per message
+app.post('/api/chat', jsonBody, async (req, res) => {
+    const chat = openHttpChat(req, res);
+    if (!chat) return;
+
+    try {
+        const reply = await handleUserMessage(chat.channel, req.body.text, {
+            language: req.body.language,
+            persona: req.body.persona,
+        });
+        sendHttpMessage(res, reply, sessionFields(chat));
+    } catch (error) {
+        chat.channel.log.error('Error processing HTTP chat', { error });
+        sendHttpMessage(res, internalError, sessionFields(chat));
+    } finally {
+        closeHttpChat(chat);
+    }
+});
+
+// HTTP chat as Server-Sent Events: the same messages the WebSocket would send
+app.post('/api/chat/stream', jsonBody, async (req, res) => {
+    const chat = openHttpChat(req, res);
+    if (!chat) return;
+
+    // A client that hangs up mid-stream no longer wants the reply
+    res.on('close', () => {
+        if (!res.writableEnded) cancelResponse(chat.channel);
+    });
+
+    // Open the stream lazily so rejected messages still get a plain HTTP status
+    const writeEvent = (type, payload) => {
+        if (!res.headersSent) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+            });
+        }
+        res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`);
+    };
+
+    try {
+        const reply = await handleUserMessage(chat.channel, req.body.text, {
+            onStream: writeEvent,
+            language: req.body.language,
+            persona: req.body.persona,
+        });
+
+        if (!res.headersSent && (reply.type === 'error' || reply.type === 'rate_limited')) {
+            sendHttpMessage(res, reply, sessionFields(chat));
+            return;
+        }
+        writeEvent(reply.type, { ...reply.payload, ...sessionFields(chat) });
+        res.end();
+    } catch (error) {
+        chat.channel.log.error('Error processing HTTP chat stream', { error });
+        if (res.headersSent) {
+            writeEvent(internalError.type, internalError.payload);
+            res.end();
+        } else {
+            sendHttpMessage(res, internalError, sessionFields(chat));
+        }
+    } finally {
+        closeHttpChat(chat);
+    }
+});
+
+// Signup, login, magic link and session import requests per client IP (guessing passwords
+// is slow by design, and an import writes up to a whole session to disk)
+const authLimiter = new RateLimiter(config.auth.attempts);
+setInterval(() => authLimiter.prune(), 60000).unref();
+
+/**
+ * Problem with a sign-in body as an error payload, or null when it is valid
+ */
+function validateCredentials(body, { password = true } = {}) {
+    const { email } = body || {};
+    if (typeof email !== 'string' || email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Enter a valid email address' };
+    }
+    if (password && (typeof body.password !== 'string' ||
+        body.password.length < config.auth.minPasswordLength || body.password.length > 200)) {
+        return {
+            code: ERROR_CODES.INVALID_MESSAGE,
+            message: `Passwords need ${config.auth.minPasswordLength} to 200 characters`,
+        };
+    }
+    return null;
+}
+
+/**
+ * Count a request against the client IP's authLimiter bucket
+ * Sends rate_limited with message and returns false when the bucket is empty
+ */
+function consumeAuthLimit(req, res, message) {
+    const { allowed, retryAfter } = authLimiter.consume(getClientIp(req, config.rateLimit.trustProxy));
+    if (!allowed) {
+        sendHttpMessage(res, { type: 'rate_limited', payload: { reason: 'ip', retryAfter, message } });
+    }
+    return allowed;
+}
+
+/**
+ * Count a sign-in attempt against the client's IP
+ * Sends rate_limited (or the body's validation error) and returns false when it can't go ahead
+ */
+function allowAuthAttempt(req, res, options) {
+    if (!consumeAuthLimit(req, res, 'Too many sign-in attempts. Try again in a little while.')) {
+        return false;
+    }
+
+    const problem = validateCredentials(req.body, options);
+    if (problem) {
+        sendHttpMessage(res, { type: 'error', payload: problem });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Reply with a fresh auth token for an account
+ */
+function sendAuthenticated(res, account, status = 200) {
+    res.status(status).json({
+        type: 'authenticated',
+        authToken: accountStore.issueToken(account),
+        account: accountStore.describe(account),
+    });
+}
+
+const invalidCredentials = {
+    type: 'error',
+    payload: { code: ERROR_CODES.INVALID_CREDENTIALS, message: 'That email and password don\'t match' },
+};
+
+// Create an account with an email and password
+app.post('/api/auth/signup', jsonBody, async (req, res) => {
+    if (!allowAuthAttempt(req, res)) return;
+
+    const account = await accountStore.signup(req.body.email, req.body.password);
+    if (!account) {
+        sendHttpMessage(res, {
+            type: 'error',
+            payload: { code: ERROR_CODES.EMAIL_TAKEN, message: 'That email already has an account. Log in instead.' },
+        });
+        return;
+    }
+    sendAuthenticated(res, account, 201);
+});
+
+// Sign in with an email and password
+app.post('/api/auth/login', jsonBody, async (req, res) => {
+    if (!allowAuthAttempt(req, res)) return;
+
+    const account = await accountStore.login(req.body.email, req.body.password);
+    if (!account) {
+        logger.info('Login failed', { clientIp: getClientIp(req, config.rateLimit.trustProxy) });
+        sendHttpMessage(res, invalidCredentials);
+        return;
+    }
+    sendAuthenticated(res, account);
+});
+
+// Email a one-time sign-in link; always 202 so it doesn't reveal who has an account
+app.post('/api/auth/magic-link', jsonBody, async (req, res) => {
+    if (!allowAuthAttempt(req, res, { password: false })) return;
+
+    const token = accountStore.createMagicLink(req.body.email);
+    const link = `${config.auth.appUrl.replace(/\/$/, '')}/?magic=${encodeURIComponent(token)}`;
+    try {
+        await mailer.sendMagicLink(req.body.email.trim(), link, config.auth.magicLinkTtl);
+    } catch (error) {
+        logger.error('Error sending magic link', { error });
+    }
+
+    res.status(202).json({ type: 'magic_link_sent', message: 'If that address can sign in, a link is on its way.' });
+});
+
+// Trade a magic link token for an auth token (creates the account on first use)
+app.post('/api/auth/magic-link/verify', jsonBody, (req, res) => {
+    const account = accountStore.redeemMagicLink((req.body || {}).token);
+    if (!account) {
+        sendHttpMessage(res, {
+            type: 'error',
+            payload: { code: ERROR_CODES.INVALID_CREDENTIALS, message: 'That sign-in link has expired or was already used' },
+        });
+        return;
+    }
+    sendAuthenticated(res, account);
+});
 
-// Serve static files (frontend)
-app.use(express.static(__dirname));
+// The signed-in account ("Authorization: Bearer <authToken>")
+app.get('/api/auth/me', (req, res) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const account = scheme === 'Bearer' ? accountStore.verifyToken(token) : null;
+    if (!account) {
+        sendHttpMessage(res, {
+            type: 'error',
+            payload: { code: ERROR_CODES.INVALID_CREDENTIALS, message: 'Sign in again' },
+        });
+        return;
+    }
+    res.json({ type: 'account', account: accountStore.describe(account) });
+});
+
+// Per-session statistics, including the mood trajectory
+app.get('/api/sessions/:id/stats', (req, res) => {
+    const session = authorizeSession(req, res);
+    if (!session) return;
+
+    res.json(sessionStore.getSessionStats(session));
+});
+
+// Transcript download as JSON, Markdown or plain text
+app.get('/api/sessions/:id/export', (req, res) => {
+    const session = authorizeSession(req, res);
+    if (!session) return;
+
+    const { format = 'json', timeZone = 'UTC' } = req.query;
+    const invalid = (message) => sendHttpMessage(res, {
+        type: 'error',
+        payload: { code: ERROR_CODES.INVALID_MESSAGE, message },
+    });
+
+    if (typeof format !== 'string' || !Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+        invalid(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+        return;
+    }
+
+    try {
+        const { body, contentType, filename } = exportTranscript(session, { format, timeZone: String(timeZone) });
+        res.set('Content-Disposition', `attachment; filename="${filename}"`)
+            .type(`${contentType}; charset=utf-8`)
+            .send(body);
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        invalid(`Unknown time zone "${timeZone}"`);
+    }
+});
+
+// Continue a conversation from a JSON export in a new session
+app.post('/api/sessions/import', jsonBody, (req, res) => {
+    if (!consumeAuthLimit(req, res, 'Too many imports. Try again in a little while.')) return;
+
+    let transcript;
+    try {
+        transcript = parseTranscript(req.body);
+    } catch (error) {
+        if (!(error instanceof TypeError)) throw error;
+        sendHttpMessage(res, {
+            type: 'error',
+            payload: { code: ERROR_CODES.INVALID_MESSAGE, message: error.message },
+        });
+        return;
+    }
+
+    const { session, token } = sessionStore.importSession(transcript);
+    logger.info('Session imported', { sessionId: session.id, turns: session.history.length });
+
+    res.status(201).json({
+        type: 'session_imported',
+        sessionId: session.id,
+        sessionToken: token,
+        turns: session.history.length,
+    });
+});
+
+// Mood journal: entries, daily summaries and top topics for a date range
+app.get('/api/mood', (req, res) => {
+    const session = authorizeSession(req, res);
+    if (!session) return;
+
+    const invalid = (message) => sendHttpMessage(res, {
+        type: 'error',
+        payload: { code: ERROR_CODES.INVALID_MESSAGE, message },
+    });
+    const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+    const { from, to, timeZone = 'UTC' } = req.query;
+
+    if ((from !== undefined && !isDate(from)) || (to !== undefined && !isDate(to)) || typeof timeZone !== 'string') {
+        invalid('from and to must be dates (YYYY-MM-DD) and timeZone an IANA time zone');
+        return;
+    }
+
+    try {
+        // Default to the last defaultRangeDays days, ending today in the caller's time zone
+        const end = to || moodJournal.dayKey(Date.now(), timeZone);
+        const start = from || new Date(Date.parse(end) - (config.journal.defaultRangeDays - 1) * 86400000)
+            .toISOString().slice(0, 10);
+
+        if (start > end) {
+            invalid('from must not be after to');
+            return;
+        }
+        res.json(moodJournal.query(moodJournal.ownerOf(session), { from: start, to: end, timeZone }));
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        invalid(`Unknown time zone "${timeZone}"`);
+    }
+});
+
+// Compact dataset index and safety rules for the browser's offline responder (built once,
+// neither changes while the server runs)
+let datasetIndexJson = null;
+app.get('/api/dataset-index', (req, res) => {
+    if (!datasetIndexJson) {
+        datasetIndexJson = JSON.stringify({
+            ...datasetLoader.exportIndex(),
+            safety: config.safety.enabled ? safetyClassifier.exportRules() : null,
+        });
+    }
+
+    res.set('Cache-Control', 'no-cache').type('application/json').send(datasetIndexJson);
+});
+
+// Malformed JSON bodies get the same error shape as the WebSocket
+app.use('/api', (error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed' && error.type !== 'entity.too.large') {
+        next(error);
+        return;
+    }
+
+    sendHttpMessage(res, {
+        type: 'error',
+        payload: error.type === 'entity.parse.failed'
+            ? { code: ERROR_CODES.INVALID_JSON, message: 'Body is not valid JSON' }
+            : { code: ERROR_CODES.MESSAGE_TOO_LONG, message: 'Request body is too large' },
+    });
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -24,125 +600,314 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         dataset: datasetLoader.getStats(),
         pipeline: aiPipeline.getStats(),
+        safety: safetyClassifier.getStats(),
+        rateLimit: ipLimiter.getStats(),
+        sessions: sessionStore.getStats(),
+        accounts: accountStore.getStats(),
+        mail: mailer.getStats(),
+        journal: moodJournal.getStats(),
+        personas: personaRegistry.getStats(),
     });
 });
 
+metrics.addGauge('voice_ai_websocket_connections', 'Open WebSocket connections', () => wss.clients.size);
+metrics.addGauge('voice_ai_sessions', 'Sessions held in memory', () => sessionStore.getStats().sessions);
+
 // WebSocket connection handling
-wss.on('connection', (ws) => {
-    console.log('🔌 New client connected');
+wss.on('connection', (ws, req) => {
+    const clientIp = getClientIp(req, config.rateLimit.trustProxy);
+    const account = req.account || null; // Set by authorizeUpgrade; null for guests
+    const connectionLog = logger.child({
+        connectionId: crypto.randomBytes(4).toString('hex'),
+        ...(account ? { accountId: account.id } : {}),
+    });
+    connectionLog.info('Client connected', { clientIp, guest: !account });
+
+    // Heartbeat: answered protocol-level pings keep the socket alive
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
 
+    // Connection state (a chat-handler channel); sessionData.session holds what survives reconnects
     let sessionData = {
-        voiceGender: 'female',
+        ...createChannel(null, clientIp, connectionLog),
         messageCount: 0,
+        protocolVersion: null,
+    };
+
+    // Tie the connection (and its log lines) to a session
+    const useSession = (session) => {
+        sessionData.session = session;
+        sessionData.log = connectionLog.child({ sessionId: session.id });
+    };
+
+    // Preferences are kept on the session and, when signed in, follow the account to other devices
+    const saveSettings = (settings) => {
+        sessionStore.updateSettings(sessionData.session, settings);
+        if (account) accountStore.updateSettings(account, settings);
+    };
+
+    // Every reply echoes the requestId of the client message it answers
+    const send = (type, payload = {}, requestId) => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({
+            type,
+            ...payload,
+            ...(requestId ? { requestId } : {}),
+        }));
+    };
+    const sendError = (code, message, requestId) => {
+        send('error', { code, message }, requestId);
     };
 
     ws.on('message', async (message) => {
+        ws.isAlive = true;
+
+        let data;
         try {
-            const data = JSON.parse(message);
+            data = JSON.parse(message);
+        } catch (error) {
+            sendError(ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+            return;
+        }
 
+        const validation = Protocol.validateClientMessage(data);
+        if (!validation.valid) {
+            sessionData.log.warn('Rejected message', { code: validation.code, reason: validation.message });
+            sendError(validation.code, validation.message, data && typeof data.requestId === 'string' ? data.requestId : undefined);
+            return;
+        }
+
+        const { requestId } = data;
+
+        // Clients must agree on a protocol version before anything else
+        if (!sessionData.protocolVersion && data.type !== 'hello') {
+            sendError(ERROR_CODES.HANDSHAKE_REQUIRED, 'Send hello with a protocolVersion first', requestId);
+            return;
+        }
+
+        try {
             // Handle different message types
             switch (data.type) {
+                case 'hello':
+                    if (!Protocol.SUPPORTED_VERSIONS.includes(data.protocolVersion)) {
+                        sendError(
+                            ERROR_CODES.UNSUPPORTED_VERSION,
+                            `Protocol version ${data.protocolVersion} is not supported (supported: ${Protocol.SUPPORTED_VERSIONS.join(', ')})`,
+                            requestId
+                        );
+                        ws.close(4000, 'Unsupported protocol version');
+                        break;
+                    }
+
+                    sessionData.protocolVersion = data.protocolVersion;
+
+                    // Fresh session (with the account's preferences); the client may swap it for an earlier one via resume_session
+                    const created = sessionStore.create(account ? account.settings : {}, account ? account.id : null);
+                    useSession(created.session);
+                    sessionData.log.info('Handshake complete', {
+                        protocolVersion: data.protocolVersion,
+                        client: data.client || 'unknown',
+                    });
+
+                    // Limits the client should respect
+                    send('welcome', {
+                        protocolVersion: sessionData.protocolVersion,
+                        sessionId: created.session.id,
+                        sessionToken: created.token,
+                        message: 'Connected to Voice AI Friend',
+                        pingInterval: config.websocket.pingInterval,
+                        maxMessageLength: config.websocket.maxMessageLength,
+                        languages: supportedLanguages,
+                        personas: personaRegistry.list(),
+                        account: account ? accountStore.describe(account) : null,
+                    }, requestId);
+                    break;
+
+                case 'resume_session':
+                    // Sessions that belong to an account only resume on that account's connections
+                    const resumed = sessionStore.resume(data.sessionToken);
+                    if (!resumed || !canUseSession(resumed, account)) {
+                        sendError(ERROR_CODES.SESSION_NOT_FOUND, 'That session has expired. Starting a new one.', requestId);
+                        break;
+                    }
+
+                    sessionStore.release(sessionData.session);
+                    useSession(resumed);
+                    sessionData.log.info('Session resumed', { turns: resumed.history.length });
+
+                    send('session_resumed', {
+                        sessionId: resumed.id,
+                        voiceGender: resumed.settings.voiceGender,
+                        language: resumed.settings.language,
+                        persona: resumed.settings.persona,
+                        history: resumed.history.turns
+                            .slice(-config.sessions.resumeHistoryTurns)
+                            .map(({ role, text, timestamp, source, latency, emotion, intensity }) => (
+                                { role, text, timestamp, source, latency, emotion, intensity }
+                            )),
+                        mood: emotionClassifier.getMood(resumed.history.turns),
+                    }, requestId);
+                    break;
+
                 case 'voice_config':
                     // Update voice preference
-                    sessionData.voiceGender = data.gender || 'female';
-                    ws.send(JSON.stringify({
-                        type: 'config_updated',
-                        gender: sessionData.voiceGender,
-                    }));
-                    console.log(`🎤 Voice changed to: ${sessionData.voiceGender}`);
+                    saveSettings({ voiceGender: data.gender });
+                    send('config_updated', { gender: data.gender }, requestId);
+                    sessionData.log.info('Voice changed', { voiceGender: data.gender });
+                    break;
+
+                case 'language_config':
+                    if (!isLanguageSetting(data.language)) {
+                        sendError(ERROR_CODES.INVALID_MESSAGE, `Unsupported language "${data.language}"`, requestId);
+                        break;
+                    }
+
+                    saveSettings({ language: data.language });
+                    send('language_updated', { language: data.language }, requestId);
+                    sessionData.log.info('Language changed', { language: data.language });
+                    break;
+
+                case 'persona_config':
+                    if (!personaRegistry.has(data.persona)) {
+                        sendError(ERROR_CODES.INVALID_MESSAGE, `Unknown persona "${data.persona}"`, requestId);
+                        break;
+                    }
+
+                    saveSettings({ persona: data.persona });
+                    send('persona_updated', { persona: data.persona }, requestId);
+                    sessionData.log.info('Persona changed', { persona: data.persona });
                     break;
 
                 case 'user_message':
-                    // Process user input and generate response
                     sessionData.messageCount++;
-                    const userInput = data.text;
-
-                    console.log(`💬 User: "${userInput}"`);
-
-                    // Generate AI response
-                    const result = await aiPipeline.generateResponse(
-                        userInput,
-                        sessionData.voiceGender
-                    );
-
-                    console.log(`🤖 AI (${result.source}, ${result.latency}ms): "${result.response}"`);
-
-                    // Send response back to client
-                    ws.send(JSON.stringify({
-                        type: 'ai_response',
-                        text: result.response,
-                        source: result.source,
-                        latency: result.latency,
-                        voiceGender: sessionData.voiceGender,
-                    }));
+
+                    // Stream events and the final reply go straight back to the socket
+                    const reply = await handleUserMessage(sessionData, data.text, {
+                        requestId,
+                        onStream: (type, payload) => send(type, payload, requestId),
+                    });
+                    send(reply.type, reply.payload, requestId);
+                    break;
+
+                case 'cancel_response':
+                    // Barge-in: the reply is abandoned and its user_message ends with response_cancelled
+                    if (cancelResponse(sessionData)) {
+                        sessionData.log.info('Reply cancelled by client');
+                    }
+                    break;
+
+                case 'check_in_start':
+                    // Today's date in the user's time zone decides whether this is a repeat
+                    const timeZone = data.timeZone || 'UTC';
+                    let today;
+                    try {
+                        today = moodJournal.dayKey(Date.now(), timeZone);
+                    } catch (error) {
+                        sendError(ERROR_CODES.INVALID_MESSAGE, `Unknown time zone "${timeZone}"`, requestId);
+                        break;
+                    }
+
+                    const alreadyCheckedIn = moodJournal.hasCheckedIn(moodJournal.ownerOf(sessionData.session), today, timeZone);
+                    sessionData.pendingCheckIn = { timeZone };
+
+                    send('check_in_prompt', {
+                        text: alreadyCheckedIn
+                            ? 'You already checked in today. How are you feeling now?'
+                            : 'Time for your daily check-in. How are you feeling today, honestly?',
+                        alreadyCheckedIn,
+                    }, requestId);
                     break;
 
                 case 'ping':
                     // Keep-alive ping
-                    ws.send(JSON.stringify({ type: 'pong' }));
+                    send('pong', {}, requestId);
                     break;
-
-                default:
-                    console.warn('⚠️  Unknown message type:', data.type);
             }
 
         } catch (error) {
-            console.error('❌ Error processing message:', error.message);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Sorry, I had trouble processing that. Can you try again?',
-            }));
+            sessionData.log.error('Error processing message', { requestId, error });
+            sendError(ERROR_CODES.INTERNAL_ERROR, 'Sorry, I had trouble processing that. Can you try again?', requestId);
         }
     });
 
     ws.on('close', () => {
-        console.log(`👋 Client disconnected (${sessionData.messageCount} messages)`);
+        sessionData.log.info('Client disconnected', { messages: sessionData.messageCount });
+        if (sessionData.session) {
+            sessionStore.release(sessionData.session);
+        }
     });
 
     ws.on('error', (error) => {
-        console.error('❌ WebSocket error:', error.message);
+        sessionData.log.error('WebSocket error', { error });
     });
+});
 
-    // Send welcome message
-    ws.send(JSON.stringify({
-        type: 'connected',
-        message: 'Connected to Voice AI Friend',
-    }));
+// Terminate sockets that missed the previous heartbeat, ping the rest
+const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+            logger.info('Terminating unresponsive client');
+            ws.terminate();
+            return;
+        }
+
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, config.websocket.pingInterval);
+
+wss.on('close', () => {
+    clearInterval(heartbeat);
 });
 
 // Initialize and start server
 async function startServer() {
     try {
-        console.log('🚀 Starting Voice AI Friend server...\n');
+        logger.info('Starting Voice AI Friend server');
 
-        // Load dataset
+        // Load dataset and personas
         await datasetLoader.load();
+        personaRegistry.load();
+
+        // Restore LLM answers cached by a previous run
+        aiPipeline.responseCache.load();
+
+        // Restore conversations for session resume, and accounts
+        sessionStore.load();
+        accountStore.load();
+        moodJournal.load();
 
         // Start HTTP server
         server.listen(config.port, () => {
-            console.log(`\n✅ Server running on http://localhost:${config.port}`);
-            console.log(`📊 WebSocket ready for connections`);
-            console.log(`\n💡 Open http://localhost:${config.port} in your browser\n`);
+            logger.info('Server running', { url: `http://localhost:${config.port}`, websocket: true });
         });
 
     } catch (error) {
-        console.error('❌ Failed to start server:', error.message);
+        logger.error('Failed to start server', { error });
         process.exit(1);
     }
 }
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-    console.log('\n👋 Shutting down gracefully...');
+    logger.info('Shutting down gracefully');
+
+    // Persist LLM cache for the next start
+    aiPipeline.responseCache.save();
 
     // Close all WebSocket connections
+    clearInterval(heartbeat);
     wss.clients.forEach((client) => {
         client.close();
     });
 
     server.close(() => {
-        console.log('✅ Server closed');
-        process.exit(0);
+        sessionStore.close(() => accountStore.close(() => moodJournal.close(() => {
+            logger.info('Server closed');
+            process.exit(0);
+        })));
     });
 });
 
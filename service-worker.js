@@ -0,0 +1,72 @@
+/**
+ * Voice AI Friend - Service Worker
+ * Caches the app shell so the page opens without a connection; the dataset index
+ * for the offline responder is kept by app.js itself (the API may be on another host)
+ */
+
+// Bump the version when the shell changes so old caches are dropped
+const CACHE_NAME = 'voice-ai-friend-v2';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'protocol.js',
+    'offline-responder.js',
+    'manifest.webmanifest',
+    'fantasy_galaxy.png',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // The API, client config, health and metrics always go to the server
+    if (url.pathname.startsWith('/api/') || url.pathname.endsWith('/config.json')) return;
+    if (url.pathname === '/health' || url.pathname === '/metrics') return;
+
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+/**
+ * Answer from the cache right away and refresh it in the background
+ * Pages that were never cached fall back to the app shell when offline
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            if (request.mode === 'navigate') return cache.match('index.html');
+            throw error;
+        });
+
+    return cached || refresh;
+}
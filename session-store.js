@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const ConversationHistory = require('./conversation-history');
+const emotionClassifier = require('./emotion-classifier');
+const logger = require('./logger');
+
+// Owner-only: the file holds whole conversations
+const FILE_MODE = 0o600;
+
+/**
+ * Session Store - Conversation history and settings that survive reconnects
+ * Append-only JSON lines file, replayed and compacted on startup
+ *
+ * Lines: { op: 'session', id, tokenHash, accountId, settings, createdAt, updatedAt }
+ *        { op: 'turn', id, turn: { role, text, timestamp, ... } }
+ *        { op: 'settings', id, settings, updatedAt }
+ */
+class SessionStore {
+    constructor() {
+        this.sessions = new Map();
+        this.tokenIndex = new Map();
+        this.stream = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Replay the store file, drop expired sessions and rewrite it compactly
+     */
+    load() {
+        const storePath = config.sessions.storePath;
+
+        if (fs.existsSync(storePath)) {
+            const lines = fs.readFileSync(storePath, 'utf8').split('\n');
+            let skipped = 0;
+
+            lines.forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    this._apply(JSON.parse(line));
+                } catch (error) {
+                    skipped++;
+                }
+            });
+
+            if (skipped > 0) {
+                logger.warn('Skipped unreadable session store lines', { skipped });
+            }
+        }
+
+        this.prune();
+        this._compact();
+
+        fs.mkdirSync(path.dirname(storePath), { recursive: true });
+        this.stream = fs.createWriteStream(storePath, { flags: 'a', mode: FILE_MODE });
+        this.stream.on('error', (error) => {
+            logger.error('Session store write error', { error });
+        });
+
+        this.loaded = true;
+        logger.info('Session store loaded', { sessions: this.sessions.size });
+    }
+
+    /**
+     * Create a session; it is only written to disk once it has something worth keeping
+     * accountId ties it to a signed-in user (null for guests)
+     * Returns { session, token } - the token is shown to the client once and never stored
+     */
+    create(settings = {}, accountId = null) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = Date.now();
+
+        const session = {
+            id: crypto.randomUUID(),
+            tokenHash: this._hashToken(token),
+            accountId,
+            settings: { voiceGender: config.voice.default, language: 'auto', persona: config.personas.default, ...settings },
+            createdAt: now,
+            updatedAt: now,
+            history: new ConversationHistory(),
+            persisted: false,
+        };
+
+        this.sessions.set(session.id, session);
+        this.tokenIndex.set(session.tokenHash, session);
+        return { session, token };
+    }
+
+    /**
+     * Start a session from an imported transcript ({ settings, turns } from
+     * transcript.parseTranscript); turns keep their timestamps and only the newest
+     * maxStoredTurns are kept. Returns { session, token } like create
+     */
+    importSession({ settings, turns }) {
+        const created = this.create(settings);
+        const { session } = created;
+
+        const kept = turns.slice(-session.history.maxStoredTurns);
+        session.history.turns.push(...kept);
+        session.updatedAt = Date.now();
+
+        this._persistSession(session);
+        kept.forEach(turn => {
+            this._write({ op: 'turn', id: session.id, turn });
+        });
+        return created;
+    }
+
+    /**
+     * Look up a session by the token issued at creation
+     */
+    resume(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const session = this.tokenIndex.get(this._hashToken(token));
+        if (!session || this._isExpired(session)) return null;
+
+        return session;
+    }
+
+    /**
+     * Look up a session by id
+     */
+    get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    /**
+     * Add a turn to the session's history and persist it
+     */
+    addTurn(session, role, text, meta = {}) {
+        const turn = session.history.add(role, text, meta);
+        session.updatedAt = turn.timestamp;
+
+        this._persistSession(session);
+        this._write({ op: 'turn', id: session.id, turn });
+        return turn;
+    }
+
+    /**
+     * Update persisted preferences (voice, language, persona, ...)
+     */
+    updateSettings(session, settings) {
+        Object.assign(session.settings, settings);
+        session.updatedAt = Date.now();
+
+        this._persistSession(session);
+        this._write({ op: 'settings', id: session.id, settings, updatedAt: session.updatedAt });
+    }
+
+    /**
+     * Drop a session that was never persisted (connection closed without any turns)
+     */
+    release(session) {
+        if (session.persisted) return;
+
+        this.sessions.delete(session.id);
+        this.tokenIndex.delete(session.tokenHash);
+    }
+
+    /**
+     * Forget sessions idle for longer than the TTL
+     */
+    prune() {
+        this.sessions.forEach(session => {
+            if (this._isExpired(session)) {
+                this.sessions.delete(session.id);
+                this.tokenIndex.delete(session.tokenHash);
+            }
+        });
+    }
+
+    /**
+     * Statistics for one session, including its mood trajectory
+     */
+    getSessionStats(session) {
+        const { turns } = session.history;
+        const replies = turns.filter(turn => turn.role === 'assistant');
+        const sources = {};
+        replies.forEach(turn => {
+            sources[turn.source] = (sources[turn.source] || 0) + 1;
+        });
+        const latencies = replies.map(turn => turn.latency).filter(latency => typeof latency === 'number');
+
+        return {
+            sessionId: session.id,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+            messages: turns.length - replies.length,
+            replies: replies.length,
+            averageLatency: latencies.length > 0
+                ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+                : null,
+            sources,
+            mood: emotionClassifier.getMood(turns),
+            moodTrajectory: emotionClassifier.getTrajectory(turns),
+        };
+    }
+
+    /**
+     * Flush pending writes (on shutdown)
+     */
+    close(callback) {
+        if (this.stream) {
+            this.stream.end(callback);
+            this.stream = null;
+        } else if (callback) {
+            callback();
+        }
+    }
+
+    /**
+     * Apply one store line to the in-memory state
+     */
+    _apply(entry) {
+        if (entry.op === 'session') {
+            const session = {
+                id: entry.id,
+                tokenHash: entry.tokenHash,
+                accountId: entry.accountId || null,
+                settings: { voiceGender: config.voice.default, language: 'auto', persona: config.personas.default, ...entry.settings },
+                createdAt: entry.createdAt,
+                updatedAt: entry.updatedAt || entry.createdAt,
+                history: new ConversationHistory(),
+                persisted: true,
+            };
+            this.sessions.set(session.id, session);
+            this.tokenIndex.set(session.tokenHash, session);
+            return;
+        }
+
+        const session = this.sessions.get(entry.id);
+        if (!session) return;
+
+        if (entry.op === 'turn') {
+            // Imported turns can be older than the session itself
+            session.history.turns.push(entry.turn);
+            session.updatedAt = Math.max(session.updatedAt, entry.turn.timestamp);
+        } else if (entry.op === 'settings') {
+            Object.assign(session.settings, entry.settings);
+            session.updatedAt = entry.updatedAt;
+        }
+    }
+
+    /**
+     * Rewrite the file with one session line plus kept turns per session
+     */
+    _compact() {
+        const storePath = config.sessions.storePath;
+        const lines = [];
+
+        this.sessions.forEach(session => {
+            // Apply the in-memory turn limit to replayed history
+            const { turns, maxStoredTurns } = session.history;
+            if (turns.length > maxStoredTurns) {
+                turns.splice(0, turns.length - maxStoredTurns);
+            }
+
+            lines.push(JSON.stringify(this._sessionLine(session)));
+            turns.forEach(turn => {
+                lines.push(JSON.stringify({ op: 'turn', id: session.id, turn }));
+            });
+        });
+
+        try {
+            fs.mkdirSync(path.dirname(storePath), { recursive: true });
+            const tmpPath = `${storePath}.tmp`;
+            fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', { mode: FILE_MODE });
+            fs.chmodSync(tmpPath, FILE_MODE);
+            fs.renameSync(tmpPath, storePath);
+        } catch (error) {
+            logger.error('Error compacting session store', { error });
+        }
+    }
+
+    _persistSession(session) {
+        if (session.persisted) return;
+
+        session.persisted = true;
+        this._write(this._sessionLine(session));
+    }
+
+    _sessionLine(session) {
+        return {
+            op: 'session',
+            id: session.id,
+            tokenHash: session.tokenHash,
+            accountId: session.accountId,
+            settings: session.settings,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+        };
+    }
+
+    _write(entry) {
+        if (this.stream) {
+            this.stream.write(JSON.stringify(entry) + '\n');
+        }
+    }
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    _isExpired(session) {
+        return Date.now() - session.updatedAt > config.sessions.ttl;
+    }
+
+    /**
+     * Get store statistics
+     */
+    getStats() {
+        return {
+            sessions: this.sessions.size,
+            loaded: this.loaded,
+        };
+    }
+}
+
+// Singleton instance
+const sessionStore = new SessionStore();
+
+module.exports = sessionStore;
@@ -0,0 +1,134 @@
+/**
+ * Account Auth Test Script
+ * Checks signup and login, and that forged, tampered or expired auth tokens are refused
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keep test accounts out of the real store
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-friend-auth-test-'));
+process.env.ACCOUNT_STORE_PATH = path.join(storeDir, 'accounts.jsonl');
+process.env.AUTH_SECRET = 'test-secret-that-is-long-enough-for-hmac';
+
+const config = require('./config');
+const accountStore = require('./account-store');
+const mailer = require('./mailer');
+
+async function testAuth() {
+    console.log('🧪 Voice AI Friend - Account Auth Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    accountStore.load();
+
+    console.log('\n👤 Signup and login...\n');
+    const account = await accountStore.signup('Friend@Example.com', 'correct horse battery');
+    check(!!account && account.email === 'friend@example.com', 'Signup creates an account with a lowercased email');
+    check(await accountStore.signup('friend@example.com ', 'another password') === null, 'The same email can\'t sign up twice');
+    check(await accountStore.login('FRIEND@example.com', 'correct horse battery') === account, 'Login works with any email case');
+    check(await accountStore.login('friend@example.com', 'wrong password') === null, 'A wrong password is refused');
+    check(await accountStore.login('nobody@example.com', 'correct horse battery') === null, 'An unknown email is refused');
+    check(!fs.readFileSync(config.auth.storePath, 'utf8').includes('correct horse battery'), 'The password is not stored');
+
+    console.log('\n🔐 Auth tokens...\n');
+    const token = accountStore.issueToken(account);
+    check(accountStore.verifyToken(token) === account, 'An issued token verifies');
+
+    const [payload, signature] = token.split('.');
+    const encode = (claims) => Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const hmac = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+    const signed = (encoded) => `${encoded}.${hmac(encoded, config.auth.secret)}`;
+    const farFuture = Date.now() + 60 * 60 * 1000;
+
+    // Tokens signed here are refused below for their claims, not their signature
+    check(accountStore.verifyToken(signed(encode({ sub: account.id, exp: farFuture }))) === account, 'A token signed with AUTH_SECRET verifies');
+
+    const refused = [
+        ['Not a string', 42],
+        ['Empty', ''],
+        ['No signature', payload],
+        ['Empty signature', `${payload}.`],
+        ['Garbage', 'not.a-token'],
+        ['Signed with another secret', `${payload}.${hmac(payload, 'some-other-secret')}`],
+        ['Signature from another payload', `${encode({ sub: account.id, exp: farFuture })}.${signature}`],
+        ['Payload edited to another account', `${encode({ sub: 'someone-else', exp: farFuture })}.${signature}`],
+        ['Signature one character off', `${payload}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`],
+        ['Expired', signed(encode({ sub: account.id, exp: Date.now() - 1000 }))],
+        ['No expiry', signed(encode({ sub: account.id }))],
+        ['Expiry that is not a number', signed(encode({ sub: account.id, exp: String(farFuture) }))],
+        ['Validly signed, unknown account', signed(encode({ sub: 'no-such-account', exp: farFuture }))],
+        ['Validly signed, not JSON', signed(Buffer.from('not json').toString('base64url'))],
+    ];
+    refused.forEach(([label, candidate]) => {
+        check(accountStore.verifyToken(candidate) === null, `${label} -> refused`);
+    });
+
+    const ttl = config.auth.tokenTtl;
+    config.auth.tokenTtl = -1;
+    const expired = accountStore.issueToken(account);
+    config.auth.tokenTtl = ttl;
+    check(accountStore.verifyToken(expired) === null, 'A token issued with an elapsed TTL is refused');
+
+    console.log('\n📧 Console mail transport...\n');
+    const link = 'http://localhost:3000/?magic=live-token';
+    const logged = [];
+    const write = process.stdout.write;
+    process.stdout.write = (chunk, ...rest) => {
+        logged.push(String(chunk));
+        return write.call(process.stdout, chunk, ...rest);
+    };
+    const nodeEnv = process.env.NODE_ENV;
+    let refusal = null;
+    try {
+        await mailer.sendMagicLink('friend@example.com', link, config.auth.magicLinkTtl);
+        process.env.NODE_ENV = 'production';
+        await mailer.sendMagicLink('friend@example.com', link, config.auth.magicLinkTtl).catch(error => {
+            refusal = error;
+        });
+    } finally {
+        if (nodeEnv === undefined) {
+            delete process.env.NODE_ENV;
+        } else {
+            process.env.NODE_ENV = nodeEnv;
+        }
+        process.stdout.write = write;
+    }
+    check(logged.filter(line => line.includes(link)).length === 1, 'Outside production the link is logged');
+    check(refusal instanceof Error && mailer.getStats().failed === 1, 'In production the console transport refuses to send');
+
+    console.log('\n💾 Store file...\n');
+    const mode = fs.statSync(config.auth.storePath).mode & 0o777;
+    check(mode === 0o600, `The store file is owner-only (${mode.toString(8)})`);
+
+    await new Promise(resolve => accountStore.close(resolve));
+    fs.rmSync(storeDir, { recursive: true, force: true });
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Auth test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testAuth().catch(error => {
+    console.error('❌ Test failed:', error);
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * Dataset Retrieval Test Script
+ * Checks ranked matching with conversation context and per-session reply rotation
+ */
+
+const { execFileSync } = require('child_process');
+const datasetLoader = require('./dataset-loader');
+const ConversationHistory = require('./conversation-history');
+
+async function testDataset() {
+    console.log('🧪 Voice AI Friend - Dataset Retrieval Test\n');
+    console.log('='.repeat(50));
+
+    await datasetLoader.load();
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    // Ranked retrieval: the best prompt wins, weak matches fall through to the LLM
+    console.log('\n🎯 Ranked matching...\n');
+    const stressed = datasetLoader.findResponse('I am so stressed about work');
+    check(!!stressed && stressed.user === 'I am stressed' && stressed.score >= 0.5, `"I am so stressed about work" -> ${stressed ? `${stressed.user} (${stressed.score.toFixed(2)})` : 'no match'}`);
+    for (const input of ['I\'m not happy, I feel sad', 'I am not stressed', 'tell me about mars']) {
+        const match = datasetLoader.findResponse(input);
+        check(match === null, `"${input}" falls through -> ${match ? `${match.user} (${match.score.toFixed(2)})` : 'no match'}`);
+    }
+
+    // DATASET_MATCH_THRESHOLD is read as a number; 0 is a valid setting
+    const threshold = (value) => execFileSync(process.execPath, ['-e', 'console.log(require("./config").dataset.matchThreshold)'], {
+        cwd: __dirname,
+        env: { ...process.env, DATASET_MATCH_THRESHOLD: value },
+    }).toString().trim();
+    check(threshold('0') === '0', `DATASET_MATCH_THRESHOLD=0 -> ${threshold('0')}`);
+    check(threshold('0.7') === '0.7', `DATASET_MATCH_THRESHOLD=0.7 -> ${threshold('0.7')}`);
+    check(threshold('high') === '0.5', `DATASET_MATCH_THRESHOLD=high -> ${threshold('high')}`);
+
+    const afterLonely = () => {
+        const history = new ConversationHistory();
+        history.add('user', 'I feel lonely');
+        history.add('assistant', 'I’m really glad you told me. You’re not alone — I’m right here with you.');
+        return history;
+    };
+
+    // Context only refines inputs with terms of their own
+    console.log('\n🧵 Conversation context...\n');
+    for (const input of ['no', 'so', 'ok', 'and?']) {
+        const match = datasetLoader.findResponse(input, { history: afterLonely() });
+        check(match === null, `"${input}" after "I feel lonely" -> ${match ? `${match.user} (${match.score})` : 'no match'}`);
+    }
+    const followUp = datasetLoader.findResponse('I feel lonely again', { history: afterLonely() });
+    check(!!followUp && followUp.user === 'I feel lonely', `"I feel lonely again" still matches -> ${followUp ? followUp.user : 'no match'}`);
+
+    // Identical pairs are indexed once; a heard reply is no longer fresh
+    console.log('\n🔁 Reply rotation...\n');
+    const prompts = datasetLoader.rankResponses('I feel lonely', { limit: 10 });
+    check(prompts.length > 0, 'Dataset prompts rank for "I feel lonely"');
+
+    const first = datasetLoader.findResponse('I feel lonely', { history: new ConversationHistory() });
+    check(!!first && first.fresh, 'First answer in a session is fresh');
+    const again = datasetLoader.findResponse('I feel lonely', { history: afterLonely() });
+    check(!!again && !again.fresh, 'Asking again once every reply was heard is not fresh');
+
+    const { languages } = datasetLoader.getStats();
+    check(languages.en.conversations < 100, `Duplicate pairs dropped (${languages.en.conversations} distinct English pairs)`);
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Dataset test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testDataset().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,84 @@
+/**
+ * Emotion Classifier Test Script
+ * Checks message labels and intensity, negation, and the rolling session mood
+ */
+
+const config = require('./config');
+const emotionClassifier = require('./emotion-classifier');
+
+function testEmotion() {
+    console.log('🧪 Voice AI Friend - Emotion Classifier Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    console.log('\n🏷️  Labels...\n');
+    const labels = [
+        ['I feel so lonely', 'lonely'],
+        ['Work has me stressed and worried', 'anxious'],
+        ['I can’t sleep, I am exhausted', 'tired'],
+        ['I am really frustrated with my boss', 'angry'],
+        ['Thank you, that helped', 'grateful'],
+        ['I got the job, I am so happy', 'happy'],
+        ['I failed my exam', 'sad'],
+        ['I am not happy', 'sad'], // Negated positive words lean sad
+        ['I am not sad', 'neutral'], // Negated negative words say little
+        ['What time is it?', 'neutral'],
+    ];
+    labels.forEach(([text, expected]) => {
+        const { emotion, intensity } = emotionClassifier.classify(text);
+        check(emotion === expected, `"${text}" -> ${emotion} (${intensity})`);
+    });
+
+    console.log('\n🔊 Intensity...\n');
+    const intensity = (text) => emotionClassifier.classify(text).intensity;
+    check(emotionClassifier.classify('What time is it?').intensity === 0, 'Neutral messages have intensity 0');
+    check(intensity('I am sad') === 0.4, 'One plain match is 0.4');
+    check(intensity('I am so sad') > intensity('I am sad'), 'Intensifiers raise it');
+    check(intensity('I am sad!!') > intensity('I am sad'), 'Exclamation marks raise it');
+    check(intensity('I AM SAD') > intensity('I am sad'), 'Shouting raises it');
+    check(intensity('SO SO SAD, DEPRESSED, MISERABLE AND HEARTBROKEN!!!') === 1, 'It is capped at 1');
+    check(emotionClassifier.getValence({ emotion: 'sad', intensity: 0.5 }) === -0.4 &&
+        emotionClassifier.getValence({ emotion: 'happy', intensity: 0.5 }) === 0.4, 'Valence is signed by emotion and scaled by intensity');
+
+    console.log('\n🌦️  Session mood...\n');
+    const turn = (text) => ({ role: 'user', text, timestamp: Date.now(), ...emotionClassifier.classify(text) });
+    const reply = { role: 'assistant', text: 'I hear you.' };
+
+    check(emotionClassifier.getMood([]) === null, 'No mood before any labelled message');
+    const turns = [turn('I am so happy today'), reply, turn('I feel lonely'), reply, turn('I feel so lonely')];
+    const mood = emotionClassifier.getMood(turns);
+    check(mood.emotion === 'lonely' && mood.valence < 0, `Recent messages outweigh older ones -> ${mood.emotion} (${mood.valence})`);
+
+    const withCurrent = emotionClassifier.getMood(turns, emotionClassifier.classify('Thank you so much, I am so grateful!'));
+    check(withCurrent.valence > mood.valence, 'A label not yet recorded can be added to the mood');
+
+    const longAgo = [turn('I am sad'), ...Array.from({ length: config.emotion.moodWindow }, () => turn('I am happy'))];
+    check(emotionClassifier.getMood(longAgo).emotion === 'happy' && emotionClassifier.getMood(longAgo).valence > 0,
+        `Only the last ${config.emotion.moodWindow} messages count`);
+
+    const trajectory = emotionClassifier.getTrajectory(turns);
+    check(trajectory.length === 3 && trajectory[0].mood.emotion === 'happy' && trajectory[2].mood.emotion === 'lonely',
+        'The trajectory has one point per user message with the mood so far');
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Emotion classifier test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testEmotion();
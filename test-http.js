@@ -0,0 +1,274 @@
+/**
+ * HTTP API Test Script
+ * Starts the server with the mock LLM and checks the HTTP endpoints: JSON and SSE
+ * chat, request errors, and that sessions started while signed in only answer to
+ * their account
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Keep sessions, accounts, moods and safety events out of the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-friend-http-test-'));
+const port = 40000 + Math.floor(Math.random() * 10000);
+const baseUrl = `http://localhost:${port}`;
+
+/**
+ * Start server.js and resolve once it is listening
+ */
+function startServer() {
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: __dirname,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            LLM_PROVIDER: 'mock',
+            MOCK_LLM_LATENCY: '0',
+            METRICS_TOKEN: 'test-metrics-token',
+            AUTH_SECRET: 'test-secret-that-is-long-enough-for-hmac',
+            SESSION_STORE_PATH: path.join(dataDir, 'sessions.jsonl'),
+            ACCOUNT_STORE_PATH: path.join(dataDir, 'accounts.jsonl'),
+            MOOD_JOURNAL_PATH: path.join(dataDir, 'mood-journal.jsonl'),
+            SAFETY_LOG_PATH: path.join(dataDir, 'safety-events.log'),
+            CACHE_PERSIST_PATH: '',
+            PUBLIC_WS_URL: '',
+            TRUST_PROXY: '0',
+            FEATURE_OFFLINE: 'false',
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Server did not start:\n${output}`));
+        }, 15000);
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve(child);
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited (${code}):\n${output}`));
+        });
+    });
+}
+
+/**
+ * Request a path and return { status, headers, body } with the body parsed as JSON
+ * when it is JSON; a string body is sent as is
+ */
+async function request(method, urlPath, { body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed = null;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        parsed = text;
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+}
+
+/**
+ * Events of a text/event-stream body as [{ event, data }]
+ */
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = (block.match(/^data: (.*)$/m) || [])[1];
+        return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+async function testHttp(server) {
+    console.log('🧪 Voice AI Friend - HTTP API Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    const signup = async (email) => {
+        const { body } = await request('POST', '/api/auth/signup', { body: { email, password: 'correct horse battery' } });
+        return body.authToken;
+    };
+    const bearer = (sessionToken, authToken) => (authToken
+        ? { Authorization: `Bearer ${sessionToken}`, 'X-Auth-Token': authToken }
+        : { Authorization: `Bearer ${sessionToken}` });
+    const notFound = (response) => response.status === 404 && response.body.code === 'session_not_found';
+
+    console.log('\n🧭 Backend discovery...\n');
+    const discovery = await request('GET', '/config.json', { headers: { Origin: 'https://static.example.com', 'X-Forwarded-Proto': 'https' } });
+    check(discovery.status === 200 && discovery.headers.get('access-control-allow-origin') === '*', 'config.json can be read from any origin');
+    check(discovery.headers.get('cache-control') === 'no-cache', 'config.json is revalidated on every load');
+    check(discovery.body.wsUrl === `ws://${new URL(baseUrl).host}`, `wsUrl is the request's own host; X-Forwarded-Proto needs TRUST_PROXY (${discovery.body.wsUrl})`);
+    check(discovery.body.features.handsFree === true && discovery.body.features.moodJournal === true && discovery.body.features.offline === false,
+        'Feature flags follow FEATURE_* (FEATURE_OFFLINE=false)');
+    check(discovery.body.voice.default === 'female' && discovery.body.voice.premium === false, 'Voice defaults are included');
+
+    console.log('\n💬 JSON chat...\n');
+    const lonely = await request('POST', '/api/chat', { body: { text: 'I feel lonely' } });
+    check(lonely.status === 200 && lonely.body.type === 'ai_response' && lonely.body.source !== 'llm', `A dataset reply -> ${lonely.body.source}`);
+    check(!!lonely.body.sessionId && !!lonely.body.sessionToken, 'A new session hands out its id and token');
+    check(lonely.body.emotion.emotion === 'lonely' && lonely.body.mood.emotion === 'lonely' && lonely.body.mood.valence < 0,
+        'Replies carry the message\'s emotion and the session mood');
+
+    const followUp = await request('POST', '/api/chat', { body: { text: 'What do you think about rainy days', sessionToken: lonely.body.sessionToken } });
+    check(followUp.body.source === 'llm' && followUp.body.sessionId === lonely.body.sessionId && !followUp.body.sessionToken,
+        'Its token continues the session, without a new token');
+
+    const witty = await request('POST', '/api/chat', { body: { text: 'Tell me something funny', persona: 'buddy', sessionToken: lonely.body.sessionToken } });
+    const transcript = await request('GET', `/api/sessions/${lonely.body.sessionId}/export`, { headers: bearer(lonely.body.sessionToken) });
+    const personas = transcript.body.turns.filter(turn => turn.role === 'assistant').map(turn => turn.persona);
+    check(witty.status === 200 && personas.join(',') === 'listener,listener,buddy' && transcript.body.settings.persona === 'listener',
+        `persona answers one message without changing the session's persona (${personas.join(', ')})`);
+
+    const crisis = await request('POST', '/api/chat', { body: { text: 'I want to kill myself' } });
+    check(crisis.status === 200 && crisis.body.type === 'safety_alert', `A crisis message -> ${crisis.body.type}`);
+
+    const spanish = await request('POST', '/api/chat', { body: { text: 'Me siento solo', language: 'es' } });
+    check(spanish.body.type === 'ai_response' && /amigo|solo|contigo/.test(spanish.body.text), `language picks the reply language -> ${spanish.body.text}`);
+
+    console.log('\n🚫 Rejected requests...\n');
+    const rejected = [
+        ['A missing text', { body: {} }, 400, 'invalid_message'],
+        ['A text that is not a string', { body: { text: 5 } }, 400, 'invalid_message'],
+        ['An unknown persona', { body: { text: 'hi', persona: 'pirate' } }, 400, 'invalid_message'],
+        ['An unsupported language', { body: { text: 'hi', language: 'xx' } }, 400, 'invalid_message'],
+        ['Malformed JSON', { body: '{"text": ' }, 400, 'invalid_json'],
+        ['An unknown session token', { body: { text: 'hi', sessionToken: 'no-such-token' } }, 404, 'session_not_found'],
+    ];
+    for (const [label, options, status, code] of rejected) {
+        const response = await request('POST', '/api/chat', options);
+        check(response.status === status && response.body.code === code, `${label} -> ${response.status} ${response.body.code}`);
+    }
+
+    console.log('\n📡 Streamed chat...\n');
+    const stream = await request('POST', '/api/chat/stream', { body: { text: 'What do you think about snowy days' } });
+    const events = parseEvents(stream.body);
+    const names = events.map(({ event }) => event);
+    const end = events[events.length - 1];
+    check(stream.headers.get('content-type').startsWith('text/event-stream'), 'The reply is an event stream');
+    check(names[0] === 'ai_response_start' && names.includes('ai_response_chunk') && end.event === 'ai_response_end',
+        `LLM replies stream start, chunks and end (${events.length} events)`);
+    check(events.every(({ event, data }) => data.type === event), 'Each event carries its type');
+    check(!!end.data.sessionToken && end.data.text === 'I hear you. Tell me more about that.', 'The last event has the whole reply and the session fields');
+
+    const cached = parseEvents((await request('POST', '/api/chat/stream', { body: { text: 'I feel lonely' } })).body);
+    check(cached.length === 1 && cached[0].event === 'ai_response', 'Dataset replies are a single ai_response event');
+
+    const badStream = await request('POST', '/api/chat/stream', { body: { text: '' } });
+    check(badStream.status === 400 && badStream.body.code === 'empty_message', 'A rejected message gets a plain 400, not a stream');
+
+    console.log('\n🔒 Account sessions...\n');
+    const owner = await signup('owner@example.com');
+    const other = await signup('other@example.com');
+    check(!!owner && !!other, 'Two accounts signed up');
+
+    const started = await request('POST', '/api/chat', { body: { text: 'Hi' }, headers: { 'X-Auth-Token': owner } });
+    const { sessionId, sessionToken } = started.body;
+    check(started.status === 200 && !!sessionToken, 'A signed-in chat starts a session');
+
+    const resume = (authToken) => request('POST', '/api/chat', {
+        body: { text: 'I feel lonely', sessionToken },
+        headers: authToken ? { 'X-Auth-Token': authToken } : {},
+    });
+    check(notFound(await resume()), 'Its token without an auth token -> session_not_found');
+    check(notFound(await resume(other)), 'Its token with another account -> session_not_found');
+    check((await resume(owner)).status === 200, 'Its token with the owner\'s auth token resumes it');
+
+    const stats = (authToken) => request('GET', `/api/sessions/${sessionId}/stats`, { headers: bearer(sessionToken, authToken) });
+    check(notFound(await stats()), 'Stats without an auth token -> session_not_found');
+    check(notFound(await stats(other)), 'Stats with another account -> session_not_found');
+    const ownerStats = await stats(owner);
+    check(ownerStats.status === 200 && ownerStats.body.messages === 2, 'Stats with the owner\'s auth token');
+
+    const mood = (authToken) => request('GET', '/api/mood', { headers: bearer(sessionToken, authToken) });
+    check(notFound(await mood()), 'Mood journal without an auth token -> session_not_found');
+    check((await mood(owner)).status === 200, 'Mood journal with the owner\'s auth token');
+
+    // The journal belongs to the account, so a new session (another device) sees it
+    const later = await request('POST', '/api/chat', { body: { text: 'I am stressed about work' }, headers: { 'X-Auth-Token': owner } });
+    const journal = await request('GET', '/api/mood', { headers: bearer(later.body.sessionToken, owner) });
+    const emotions = journal.body.entries.map(entry => entry.emotion);
+    check(later.body.sessionId !== sessionId && journal.body.entries.length === 3 && emotions.includes('lonely'),
+        `A new session of the account sees its whole mood journal (${emotions.join(', ')})`);
+
+    const exported = (authToken) => request('GET', `/api/sessions/${sessionId}/export`, { headers: bearer(sessionToken, authToken) });
+    check(notFound(await exported()), 'Export without an auth token -> session_not_found');
+    check((await exported(owner)).status === 200, 'Export with the owner\'s auth token');
+
+    console.log('\n👥 Guest sessions...\n');
+    const guest = await request('POST', '/api/chat', { body: { text: 'Hi' } });
+    check(guest.status === 200 && !!guest.body.sessionToken, 'A guest chat starts a session');
+    const guestStats = await request('GET', `/api/sessions/${guest.body.sessionId}/stats`, { headers: bearer(guest.body.sessionToken) });
+    check(guestStats.status === 200, 'Guest sessions need only their own token');
+    const guestResume = await request('POST', '/api/chat', {
+        body: { text: 'Hi', sessionToken: guest.body.sessionToken },
+        headers: { 'X-Auth-Token': owner },
+    });
+    check(guestResume.status === 200, 'Guest sessions also resume while signed in');
+    const guestMood = await request('GET', '/api/mood', { headers: bearer(guest.body.sessionToken) });
+    check(guestMood.status === 200 && guestMood.body.entries.length === 2, 'A guest session keeps its own mood journal');
+
+    console.log('\n📈 Metrics...\n');
+    const unauthorized = await request('GET', '/metrics');
+    check(unauthorized.status === 401, 'Scrapes without METRICS_TOKEN are refused');
+    const scrape = await request('GET', '/metrics', { headers: { Authorization: 'Bearer test-metrics-token' } });
+    const sample = (name) => {
+        const line = scrape.body.split('\n').find(candidate => candidate.startsWith(`${name} `));
+        return line === undefined ? NaN : Number(line.slice(name.length + 1));
+    };
+    check(scrape.status === 200 && scrape.headers.get('content-type').startsWith('text/plain'), 'Scrapes with the token get the text format');
+    check(sample('voice_ai_messages_total') >= 10, `Messages over HTTP are counted (${sample('voice_ai_messages_total')})`);
+    check(sample('voice_ai_response_latency_seconds_count{source="llm"}') >= 2 &&
+        sample('voice_ai_response_latency_seconds_count{source="dataset"}') >= 2 &&
+        sample('voice_ai_response_latency_seconds_count{source="safety"}') === 1, 'Reply latencies are recorded per source');
+    check(sample('voice_ai_llm_requests_total{provider="mock",outcome="success"}') >= 2, 'LLM calls are counted');
+
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ HTTP API test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+let server = null;
+startServer()
+    .then((child) => {
+        server = child;
+        return testHttp(child);
+    })
+    .catch(error => {
+        console.error('❌ Test failed:', error);
+        if (server) server.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        process.exit(1);
+    });
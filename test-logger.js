@@ -0,0 +1,116 @@
+/**
+ * Logger Test Script
+ * Checks log levels, correlation fields, text redaction modes and PII scrubbing
+ */
+
+const { execFileSync } = require('child_process');
+const config = require('./config');
+const logger = require('./logger');
+
+const Logger = logger.constructor;
+
+function testLogger() {
+    console.log('🧪 Voice AI Friend - Logger Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    const settings = (overrides = {}) => ({ ...config.logging, hashSalt: 'test-salt', debugTranscripts: false, ...overrides });
+
+    // Run fn with stdout and stderr captured; returns [{ stream, entry }]
+    const capture = (fn) => {
+        const lines = [];
+        const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+        Object.keys(writes).forEach(stream => {
+            process[stream].write = (chunk) => {
+                lines.push({ stream, entry: JSON.parse(chunk) });
+                return true;
+            };
+        });
+        try {
+            fn();
+        } finally {
+            Object.keys(writes).forEach(stream => {
+                process[stream].write = writes[stream];
+            });
+        }
+        return lines;
+    };
+
+    const said = 'My name is Sam, mail me at sam@example.com or call +1 (555) 123-4567';
+
+    console.log('\n📶 Levels and fields...\n');
+    const warnOnly = new Logger({}, settings({ level: 'warn' }));
+    const levels = capture(() => ['debug', 'info', 'warn', 'error'].forEach(level => warnOnly[level](level)));
+    check(levels.map(({ entry }) => entry.msg).join(',') === 'warn,error', 'Lines below the level are dropped');
+    check(levels.every(({ stream }) => stream === 'stderr'), 'Warnings and errors go to stderr');
+
+    const [child] = capture(() => new Logger({ service: 'test' }, settings()).child({ sessionId: 's1' }).info('Hello', { requestId: 'r1' }));
+    const { entry } = child;
+    check(child.stream === 'stdout' && entry.level === 'info' && entry.msg === 'Hello' && !isNaN(Date.parse(entry.time)), 'A line has time, level and msg');
+    check(entry.service === 'test' && entry.sessionId === 's1' && entry.requestId === 'r1', 'Child loggers add their correlation fields');
+
+    console.log('\n🙈 Text redaction...\n');
+    const log = (mode, fields) => capture(() => new Logger({}, settings({ textMode: mode })).info('Message', fields))[0].entry;
+
+    const hashed = log('hash', { text: said, response: said });
+    check(/^hmac:[0-9a-f]{16}$/.test(hashed.text) && hashed.text === hashed.response, `hash: equal texts get equal hashes (${hashed.text})`);
+    const otherSalt = capture(() => new Logger({}, settings({ hashSalt: 'other-salt' })).info('Message', { text: said }))[0].entry;
+    check(otherSalt.text !== hashed.text, 'hash: another salt gives another hash');
+
+    const truncated = log('truncate', { text: said });
+    check(truncated.text === 'My name is [name], mail …', `truncate: PII is scrubbed, then the text is cut (${truncated.text})`);
+    check(log('drop', { text: said }).text === `[${said.length} chars]`, 'drop: only the length is kept');
+    check(log('hash', { sessionId: said }).sessionId === said, 'Other fields are logged as they are');
+
+    const [debug] = capture(() => new Logger({}, settings({ debugTranscripts: true })).info('Message', { text: said }));
+    check(debug.entry.text === said, 'Debug transcripts log the full text');
+
+    console.log('\n🧽 PII scrubbing...\n');
+    const scrubber = new Logger({}, settings());
+    const scrubbed = [
+        ['Write to first.last+tag@mail.example.co.uk', 'Write to [email]'],
+        ['My number is 555-123-4567', 'My number is [phone]'],
+        ['Call me Alex tomorrow', 'Call me [name] tomorrow'],
+        ['call me later', 'call me later'],
+        ['I have 3 cats and 2 dogs', 'I have 3 cats and 2 dogs'],
+    ];
+    scrubbed.forEach(([text, expected]) => {
+        const result = scrubber.scrubPII(text);
+        check(result === expected, `"${text}" -> "${result}"`);
+    });
+    const emailsKept = new Logger({}, settings({ redact: { ...config.logging.redact, emails: false } }));
+    check(emailsKept.scrubPII('sam@example.com') === 'sam@example.com', 'Each kind can be turned off in redact');
+
+    const [failed] = capture(() => scrubber.error('Failed', { error: new Error('No account for sam@example.com') }));
+    check(failed.entry.error === 'No account for [email]', 'Error messages are scrubbed too');
+
+    console.log('\n🏭 Production...\n');
+    const production = JSON.parse(execFileSync(process.execPath, ['-e', 'console.log(JSON.stringify(require("./logger").settings))'], {
+        cwd: __dirname,
+        env: { ...process.env, NODE_ENV: 'production', LOG_DEBUG_TRANSCRIPTS: 'true' },
+        stdio: ['ignore', 'pipe', 'ignore'],
+    }).toString());
+    check(!production.debugTranscripts && production.ignoredDebugTranscripts, 'LOG_DEBUG_TRANSCRIPTS is ignored with NODE_ENV=production');
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Logger test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testLogger();
@@ -0,0 +1,79 @@
+/**
+ * Metrics Test Script
+ * Checks the Prometheus text output: latency histograms per source, counters and gauges
+ */
+
+const metrics = require('./metrics');
+
+function testMetrics() {
+    console.log('🧪 Voice AI Friend - Metrics Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    // Value of one sample line, or undefined when the line isn't there
+    const sample = (name) => {
+        const line = metrics.render().split('\n').find(candidate => candidate.startsWith(`${name} `));
+        return line === undefined ? undefined : Number(line.slice(name.length + 1));
+    };
+
+    console.log('\n⏱️  Latency histograms...\n');
+    metrics.recordResponse('https://example.com/dataset', 4);
+    metrics.recordResponse('llm', 1200);
+    metrics.recordResponse('llm', 300);
+    metrics.recordResponse('fallback', 10);
+
+    const histogram = 'voice_ai_response_latency_seconds';
+    check(sample(`${histogram}_bucket{source="llm",le="0.25"}`) === 0, 'Replies slower than a bucket are not in it');
+    check(sample(`${histogram}_bucket{source="llm",le="0.5"}`) === 1 && sample(`${histogram}_bucket{source="llm",le="2.5"}`) === 2, 'Buckets are cumulative');
+    check(sample(`${histogram}_bucket{source="llm",le="+Inf"}`) === 2 && sample(`${histogram}_count{source="llm"}`) === 2, 'The +Inf bucket equals the count');
+    check(sample(`${histogram}_sum{source="llm"}`) === 1.5, 'The sum is in seconds');
+    check(sample(`${histogram}_count{source="dataset"}`) === 1, 'Dataset source URLs are labelled "dataset"');
+    check(sample(`${histogram}_count{source="error"}`) === 1, 'The error fallback is labelled "error"');
+
+    console.log('\n🔢 Counters and gauges...\n');
+    metrics.recordMessage();
+    metrics.recordMessage();
+    check(sample('voice_ai_messages_total') === 2, 'Messages are counted');
+    check(sample('voice_ai_messages_per_minute') === 2, 'Messages in the last minute are a gauge');
+
+    metrics.recordLLMRequest('mock', 'success', { prompt_tokens: 40, completion_tokens: 12 });
+    metrics.recordLLMRequest('mock', 'aborted');
+    check(sample('voice_ai_llm_requests_total{provider="mock",outcome="success"}') === 1 &&
+        sample('voice_ai_llm_requests_total{provider="mock",outcome="aborted"}') === 1, 'LLM calls are counted by outcome');
+    check(sample('voice_ai_llm_tokens_total{provider="mock",type="prompt"}') === 40 &&
+        sample('voice_ai_llm_tokens_total{provider="mock",type="completion"}') === 12, 'LLM tokens are counted by type');
+
+    metrics.recordKeywordHits(['lonely', 'say "hi"\nback\\']);
+    check(sample('voice_ai_dataset_keyword_hits_total{keyword="lonely"}') === 1, 'Keyword buckets are counted');
+    check(sample('voice_ai_dataset_keyword_hits_total{keyword="say \\"hi\\"\\nback\\\\"}') === 1, 'Quotes, newlines and backslashes in labels are escaped');
+
+    let sessions = 3;
+    metrics.addGauge('voice_ai_test_sessions', 'Sessions for the test', () => sessions);
+    sessions = 5;
+    check(sample('voice_ai_test_sessions') === 5, 'Gauges are read at scrape time');
+
+    const output = metrics.render();
+    check(output.includes(`# TYPE ${histogram} histogram`) && output.includes('# TYPE voice_ai_messages_total counter'), 'Every metric has its TYPE line');
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Metrics test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testMetrics();
@@ -0,0 +1,118 @@
+/**
+ * Offline Responder Test Script
+ * Loads the exported dataset index the way the browser does and checks that messages
+ * match the same prompts, and crisis messages get the same escalation reply, as on the server
+ */
+
+const datasetLoader = require('./dataset-loader');
+const safetyClassifier = require('./safety-classifier');
+const OfflineResponder = require('./offline-responder');
+
+async function testOffline() {
+    console.log('🧪 Voice AI Friend - Offline Responder Test\n');
+    console.log('='.repeat(50));
+
+    await datasetLoader.load();
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    // Same body as GET /api/dataset-index, through JSON like the browser gets it
+    const exported = JSON.parse(JSON.stringify({
+        ...datasetLoader.exportIndex(),
+        safety: safetyClassifier.exportRules(),
+    }));
+    const responder = new OfflineResponder(exported);
+
+    console.log('\n🔍 Matching...\n');
+    const matched = [
+        ['I feel lonely', 'en'],
+        ['Work has me so stressed', 'en'],
+        ['I failed my exam', 'en'],
+        ['Me siento solo', 'es'],
+        ['Je me sens seul', 'fr'],
+    ];
+    matched.forEach(([text, language]) => {
+        const server = datasetLoader.findResponse(text, { language });
+        const prompt = datasetLoader._locale(language).documents.findIndex(doc => doc.user === server.user);
+        const reply = responder.respond(text, language);
+        check(
+            reply.source === 'offline' && exported.languages[language].documents[prompt].replies.includes(reply.text) &&
+                Math.abs(reply.confidence - server.score) < 0.01,
+            `"${text}" -> "${server.user}" (${reply.confidence}, server ${server.score})`
+        );
+    });
+
+    console.log('\n💬 Generic replies...\n');
+    const { replies } = exported.languages.en.generic;
+    const generic = [
+        ['Hey there, what is the capital of Peru', replies.greeting],
+        ['Thank you for the quantum physics', replies.thanks],
+        ['Ok bye for now', replies.goodbye],
+        ['What is the capital of Peru', replies.default],
+        ['I am not stressed', replies.default], // Negated words don't match the stressed prompt
+    ];
+    generic.forEach(([text, expected]) => {
+        const reply = responder.respond(text);
+        check(reply.text === expected && reply.confidence === null && !datasetLoader.findResponse(text), `"${text}" -> "${reply.text}"`);
+    });
+    check(responder.respond('I feel lonely', 'de').confidence === 1, 'A language that wasn\'t exported uses the default one');
+    check(responder.respond('Me siento solo', 'de').text === replies.default, '...and only matches that language\'s prompts');
+
+    console.log('\n🚨 Crisis messages...\n');
+    const crises = [
+        ['I want to kill myself', 'en'],
+        ['I keep cutting myself', 'en'],
+        ['I don\'t want to live anymore', 'en'],
+        ['Ya no quiero vivir', 'es'],
+        ['Quiero morirme', 'en'], // Flagged even when the language was guessed wrong
+        ['Je veux me tuer', 'fr'],
+    ];
+    crises.forEach(([text, language]) => {
+        const server = safetyClassifier.classify(text, language);
+        const reply = responder.respond(text, language);
+        check(
+            reply.source === 'safety' && reply.text === safetyClassifier.getEscalationResponse(server) &&
+                reply.safety.category === server.category,
+            `"${text}" -> ${reply.source} (${reply.safety ? reply.safety.category : 'none'})`
+        );
+    });
+
+    console.log('\n🙂 Messages that are not a crisis...\n');
+    const safe = [
+        'I would never kill myself',
+        'The Suicide Squad movie was fun',
+        'I almost killed myself laughing',
+        'I feel lonely',
+    ];
+    safe.forEach(text => {
+        const reply = responder.respond(text);
+        check(reply.source === 'offline' && !safetyClassifier.classify(text).flagged, `"${text}" -> ${reply.source}`);
+    });
+
+    const withoutSafety = new OfflineResponder({ ...exported, safety: null });
+    check(withoutSafety.respond('I feel lonely').source === 'offline', 'An index without safety rules still answers');
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Offline responder test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testOffline().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,127 @@
+/**
+ * Persona Test Script
+ * Checks the persona files, fallback to the default persona, and that each persona's
+ * prompt, response length and cache entries reach the LLM
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.MOCK_LLM_LATENCY = '0';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const datasetLoader = require('./dataset-loader');
+const personaRegistry = require('./persona-registry');
+const aiPipeline = require('./ai-pipeline');
+
+const PersonaRegistry = personaRegistry.constructor;
+
+async function testPersonas() {
+    console.log('🧪 Voice AI Friend - Persona Test\n');
+    console.log('='.repeat(50));
+
+    await datasetLoader.load();
+    personaRegistry.load();
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    console.log('\n🎭 Registry...\n');
+    const list = personaRegistry.list();
+    check(list.map(({ id }) => id).join(',') === 'buddy,listener,motivator', `Every persona file is listed (${list.length})`);
+    check(list.filter(persona => persona.default).map(({ id }) => id).join(',') === config.personas.default, 'Exactly the default persona is marked default');
+    check(list.every(persona => persona.name && persona.voice && !('systemPrompt' in persona)), 'The list has names and voices but no prompts');
+    check(personaRegistry.has('buddy') && !personaRegistry.has('pirate'), 'has() only knows persona files');
+    check(personaRegistry.get('motivator').voice.gender === 'male' && personaRegistry.get('motivator').response.maxTokens === 60, 'A persona keeps its voice and response length');
+    check(personaRegistry.get('pirate').id === config.personas.default && personaRegistry.get(undefined).id === config.personas.default, 'Unknown ids fall back to the default persona');
+
+    console.log('\n📄 Persona files...\n');
+    const parsed = personaRegistry._parse('minimal', { name: 'Minimal', systemPrompt: 'Be kind.' });
+    check(parsed.voice.gender === config.voice.default && parsed.voice.rate === 1.0 && parsed.response.maxSentences === 2 &&
+        parsed.response.maxTokens === null && parsed.exampleKeywords.length === 0, 'Missing fields get defaults');
+    const rejects = (definition) => {
+        try {
+            personaRegistry._parse('bad', definition);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    check(rejects({ name: 'No prompt' }), 'A persona without a system prompt is rejected');
+    check(rejects({ name: 'Robot', systemPrompt: 'Beep.', voice: { gender: 'robot' } }), 'An unknown voice gender is rejected');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-friend-personas-test-'));
+    const configured = config.personas.dir;
+    config.personas.dir = dir;
+    fs.writeFileSync(path.join(dir, `${config.personas.default}.json`), JSON.stringify({ name: 'Default', systemPrompt: 'Listen.' }));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ "name": ');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'Not a persona');
+    const partial = new PersonaRegistry();
+    partial.load();
+    check(partial.list().map(({ id }) => id).join(',') === config.personas.default, 'Invalid and non-JSON files are skipped');
+
+    fs.unlinkSync(path.join(dir, `${config.personas.default}.json`));
+    let missingDefault = null;
+    try {
+        new PersonaRegistry().load();
+    } catch (error) {
+        missingDefault = error;
+    }
+    check(missingDefault !== null && missingDefault.message.includes(config.personas.default), 'A missing default persona stops loading');
+    config.personas.dir = configured;
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('\n💬 LLM replies...\n');
+    const llm = aiPipeline.llm;
+    llm.settings.reply = 'Ha, tell me everything.';
+    const requests = [];
+    const complete = llm.complete.bind(llm);
+    llm.complete = (messages, options) => {
+        requests.push({ system: messages[0].content, maxTokens: options.maxTokens });
+        return complete(messages, options);
+    };
+
+    const buddy = personaRegistry.get('buddy');
+    await aiPipeline._generateLLMResponse('What should I cook tonight', { persona: buddy });
+    const [sent] = requests;
+    check(sent.system.startsWith(buddy.systemPrompt), 'The persona\'s prompt opens the system message');
+    check(sent.system.includes('1-3 sentences') && sent.maxTokens === 70, 'The persona\'s response length is sent');
+
+    await aiPipeline._generateLLMResponse('What should I cook tonight');
+    check(requests[1].system.startsWith(personaRegistry.get(config.personas.default).systemPrompt) && requests[1].maxTokens === null,
+        'Without a persona the default one answers');
+
+    console.log('\n💾 Cache per persona...\n');
+    const question = 'Which board game should we play this weekend';
+    const first = await aiPipeline.generateResponse(question, { persona: personaRegistry.get(config.personas.default) });
+    const again = await aiPipeline.generateResponse(question);
+    const other = await aiPipeline.generateResponse(question, { persona: buddy });
+    check(first.source === 'llm' && again.source === 'llm-cache', `The default persona and no persona share entries -> ${again.source}`);
+    check(other.source === 'llm', `Another persona gets its own entry -> ${other.source}`);
+    check(aiPipeline._cacheKey(question, 'en', buddy) !== aiPipeline._cacheKey(question, 'fr', buddy), 'Languages stay apart within a persona');
+    llm.complete = complete;
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Persona test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testPersonas().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Protocol Validation Test Script
+ * Checks client message schemas, unknown types and field errors
+ */
+
+const Protocol = require('./protocol');
+
+const { ERROR_CODES } = Protocol;
+
+function testProtocol() {
+    console.log('🧪 Voice AI Friend - Protocol Validation Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    // Messages arrive as JSON text, so parse them the way the server does
+    const validate = (json) => Protocol.validateClientMessage(JSON.parse(json));
+
+    console.log('\n✉️  Valid messages...\n');
+    const validMessages = [
+        '{"type":"hello","protocolVersion":1,"client":"test"}',
+        '{"type":"user_message","text":"hi","requestId":"r1"}',
+        '{"type":"voice_config","gender":"male"}',
+        '{"type":"check_in_start"}',
+        '{"type":"ping","extra":"newer peers may add fields"}',
+    ];
+    validMessages.forEach(json => {
+        const result = validate(json);
+        check(result.valid, `${json} -> ${result.valid ? 'valid' : result.message}`);
+    });
+
+    console.log('\n❓ Unknown types...\n');
+    const unknownTypes = ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf', 'welcome', 'nope'];
+    unknownTypes.forEach(type => {
+        const result = validate(JSON.stringify({ type }));
+        check(!result.valid && result.code === ERROR_CODES.UNKNOWN_TYPE, `"${type}" -> ${result.valid ? 'valid' : result.code}`);
+    });
+
+    console.log('\n🚫 Invalid messages...\n');
+    const invalidMessages = [
+        ['[]', 'Arrays are not messages'],
+        ['"ping"', 'Strings are not messages'],
+        ['null', 'null is not a message'],
+        ['{}', 'type is required'],
+        ['{"type":5}', 'type must be a string'],
+        ['{"type":"ping","requestId":5}', 'requestId must be a string'],
+        [`{"type":"ping","requestId":"${'x'.repeat(65)}"}`, 'requestId is capped at 64 characters'],
+        ['{"type":"hello"}', 'hello needs a protocolVersion'],
+        ['{"type":"user_message","text":null}', 'text may not be null'],
+        ['{"type":"voice_config","gender":"robot"}', 'gender must be one of its enum values'],
+        ['{"type":"user_message","text":["hi"]}', 'Arrays are not strings'],
+    ];
+    invalidMessages.forEach(([json, label]) => {
+        const result = validate(json);
+        check(!result.valid && result.code === ERROR_CODES.INVALID_MESSAGE, `${label} -> ${result.valid ? 'valid' : result.message}`);
+    });
+
+    console.log('\n📨 Server messages...\n');
+    const welcome = Protocol.validateServerMessage({
+        type: 'welcome',
+        protocolVersion: 1,
+        sessionId: 'abc',
+        sessionToken: 'token',
+        pingInterval: 30000,
+        maxMessageLength: 2000,
+        account: null,
+    });
+    check(welcome.valid, 'welcome is a server message');
+    const fromClient = Protocol.validateServerMessage({ type: 'user_message', text: 'hi' });
+    check(!fromClient.valid && fromClient.code === ERROR_CODES.UNKNOWN_TYPE, 'Client types are not server messages');
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Protocol test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testProtocol();
@@ -0,0 +1,86 @@
+/**
+ * Rate Limiter Test Script
+ * Checks token bucket refills, per-key limits and client IPs behind proxies
+ */
+
+const { TokenBucket, RateLimiter, getClientIp } = require('./rate-limiter');
+
+function testRateLimiter() {
+    console.log('🧪 Voice AI Friend - Rate Limiter Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    // Move a bucket's clock back instead of waiting
+    const age = (bucket, ms) => {
+        bucket.updatedAt -= ms;
+    };
+
+    console.log('\n🪣 Token bucket...\n');
+    const bucket = new TokenBucket(3, 0.5);
+    const burst = [bucket.take(), bucket.take(), bucket.take()];
+    check(burst.every(result => result.allowed), 'A full bucket allows a burst of its capacity');
+
+    const empty = bucket.take();
+    check(!empty.allowed && empty.retryAfter > 0 && empty.retryAfter <= 2000, `An empty bucket refuses with retryAfter ${empty.retryAfter}ms`);
+
+    age(bucket, 2000);
+    check(bucket.take().allowed, 'One token is back after 1 / refillPerSecond seconds');
+    check(!bucket.take().allowed, 'Only that one token');
+
+    age(bucket, 60000);
+    check(bucket.isFull() && bucket.tokens === 3, 'Refills never go past capacity');
+
+    console.log('\n🔑 Per-key limiter...\n');
+    const limiter = new RateLimiter({ capacity: 2, refillPerSecond: 1 });
+    limiter.consume('a');
+    limiter.consume('a');
+    check(!limiter.consume('a').allowed, 'A key is limited once its bucket is empty');
+    check(limiter.consume('b').allowed, 'Other keys have their own bucket');
+    check(limiter.getStats().limited === 1, 'Refusals are counted');
+
+    age(limiter.buckets.get('a'), 60000);
+    age(limiter.buckets.get('b'), 60000);
+    limiter.prune();
+    check(limiter.getStats().trackedKeys === 0, 'Refilled buckets are pruned');
+
+    console.log('\n🌐 Client IP...\n');
+    const request = (forwarded) => ({
+        headers: forwarded === undefined ? {} : { 'x-forwarded-for': forwarded },
+        socket: { remoteAddress: '10.0.0.1' },
+    });
+    const cases = [
+        ['No proxy ignores X-Forwarded-For', request('1.2.3.4'), 0, '10.0.0.1'],
+        ['One proxy uses the entry it appended', request('203.0.113.7'), true, '203.0.113.7'],
+        ['A spoofed first hop is ignored', request('6.6.6.6, 203.0.113.7'), true, '203.0.113.7'],
+        ['Several spoofed hops are ignored', request('1.1.1.1,2.2.2.2 , 203.0.113.7'), 1, '203.0.113.7'],
+        ['Two proxies skip the inner proxy', request('6.6.6.6, 203.0.113.7, 10.1.1.1'), 2, '203.0.113.7'],
+        ['Headers shorter than the proxy chain use the socket address', request('6.6.6.6'), 2, '10.0.0.1'],
+        ['A missing header uses the socket address', request(), true, '10.0.0.1'],
+    ];
+    cases.forEach(([label, req, trustProxy, expected]) => {
+        const ip = getClientIp(req, trustProxy);
+        check(ip === expected, `${label} -> ${ip}`);
+    });
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Rate limiter test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testRateLimiter();
@@ -0,0 +1,82 @@
+/**
+ * Response Cache Test Script
+ * Checks key normalization, LRU eviction, TTL expiry and persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResponseCache = require('./response-cache');
+
+function testResponseCache() {
+    console.log('🧪 Voice AI Friend - Response Cache Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    // Move an entry's clock back instead of waiting
+    const age = (cache, input, ms) => {
+        cache.entries.get(ResponseCache.normalize(input)).createdAt -= ms;
+    };
+
+    console.log('\n🔤 Keys...\n');
+    const cache = new ResponseCache({ maxSize: 2, ttl: 60000, persistPath: '' });
+    cache.set('I’m SO tired!!', 'Rest a little.');
+    check(cache.get('i\'m so tired') === 'Rest a little.', 'Case, punctuation and apostrophes don\'t change the key');
+    check(cache.get('I am so tired') === null, 'Different words are a different key');
+
+    console.log('\n♻️  LRU eviction...\n');
+    cache.set('rainy days', 'Cozy.');
+    cache.get('I\'m so tired'); // Now the most recently used
+    cache.set('snowy days', 'Magical.');
+    check(cache.get('rainy days') === null, 'The least recently used entry is evicted');
+    check(cache.get('I\'m so tired') === 'Rest a little.' && cache.get('snowy days') === 'Magical.', 'Recently used entries stay');
+    check(cache.getStats().size === 2 && cache.getStats().evictions === 1, 'Size stays at maxSize and evictions are counted');
+
+    console.log('\n⌛ Expiry...\n');
+    age(cache, 'snowy days', 61000);
+    check(cache.get('snowy days') === null && cache.getStats().expirations === 1, 'Entries past the TTL expire');
+    const forever = new ResponseCache({ ttl: 0, persistPath: '' });
+    forever.set('hello', 'Hi!');
+    age(forever, 'hello', 365 * 24 * 60 * 60 * 1000);
+    check(forever.get('hello') === 'Hi!', 'A TTL of 0 never expires');
+    const disabled = new ResponseCache({ enabled: false, persistPath: '' });
+    disabled.set('hello', 'Hi!');
+    check(disabled.get('hello') === null, 'A disabled cache stores nothing');
+
+    console.log('\n💾 Persistence...\n');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-friend-cache-test-'));
+    const persistPath = path.join(dir, 'llm-cache.json');
+    const saved = new ResponseCache({ maxSize: 3, ttl: 60000, persistPath });
+    ['one', 'two', 'three'].forEach(input => saved.set(input, `${input}!`));
+    age(saved, 'two', 61000);
+    saved.save();
+    check(fs.existsSync(persistPath) && !fs.existsSync(`${persistPath}.tmp`), 'Saving writes the file through a temp file');
+
+    const restored = new ResponseCache({ maxSize: 1, ttl: 60000, persistPath });
+    restored.load();
+    check(restored.get('two') === null, 'Expired entries are not restored');
+    check(restored.getStats().size === 1 && restored.get('three') === 'three!', 'Restoring keeps the most recent entries up to maxSize');
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Response cache test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testResponseCache();
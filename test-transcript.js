@@ -0,0 +1,113 @@
+/**
+ * Transcript Test Script
+ * Checks JSON import validation and clamping, and the export formats
+ */
+
+const config = require('./config');
+const ConversationHistory = require('./conversation-history');
+const { exportTranscript, parseTranscript } = require('./transcript');
+
+function testTranscript() {
+    console.log('🧪 Voice AI Friend - Transcript Test\n');
+    console.log('='.repeat(50));
+
+    let checks = 0;
+    let failures = 0;
+    const check = (ok, label) => {
+        checks++;
+        if (!ok) failures++;
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    const exported = (turns, extra = {}) => ({
+        format: 'voice-ai-friend-transcript',
+        version: 1,
+        settings: { voiceGender: 'male', language: 'fr' },
+        turns,
+        ...extra,
+    });
+    const parseError = (data) => {
+        try {
+            parseTranscript(data);
+            return null;
+        } catch (error) {
+            return error;
+        }
+    };
+
+    console.log('\n🚫 Files that are not exports...\n');
+    const invalid = [
+        ['Not an object', 'hello'],
+        ['Another format', { format: 'chat-log', version: 1, turns: [] }],
+        ['A newer version', exported([{ role: 'user', text: 'hi' }], { version: 2 })],
+        ['No messages', exported([])],
+        ['An unknown role', exported([{ role: 'system', text: 'hi' }])],
+        ['Empty text', exported([{ role: 'user', text: '' }])],
+        ['A message that is not an object', exported([null])],
+    ];
+    invalid.forEach(([label, data]) => {
+        const error = parseError(data);
+        check(error instanceof TypeError, `${label} -> ${error ? error.message : 'accepted'}`);
+    });
+
+    console.log('\n📥 Import...\n');
+    const before = Date.now();
+    const { settings, turns } = parseTranscript(exported([
+        { role: 'user', text: 'hi', timestamp: 1700000000000, emotion: 'happy', secret: 'dropped' },
+        { role: 'assistant', text: 'hey!', timestamp: 1e20, source: 'cache', latency: '5' },
+        { role: 'user', text: 'x'.repeat(config.websocket.maxMessageLength + 500), timestamp: -5 },
+        { role: 'user', text: 'later', timestamp: 'yesterday' },
+    ], { settings: { voiceGender: 'male', language: 'fr', persona: 'no-such-persona' } }));
+    const after = Date.now();
+
+    check(settings.voiceGender === 'male' && settings.language === 'fr', 'Supported settings are kept');
+    check(!('persona' in settings), 'Unknown personas fall back to the default');
+    check(turns[0].timestamp === 1700000000000 && turns[0].emotion === 'happy', 'Past timestamps and known fields are kept');
+    check(!('secret' in turns[0]) && !('latency' in turns[1]), 'Unknown fields and wrongly typed ones are dropped');
+    check(turns[1].timestamp >= before && turns[1].timestamp <= after, `A future timestamp is clamped to now (${turns[1].timestamp})`);
+    check(turns[2].timestamp === 0, 'A negative timestamp is clamped to 1970');
+    check(turns[3].timestamp >= before && turns[3].timestamp <= after, 'A missing timestamp becomes now');
+    check(turns[2].text.length === config.websocket.maxMessageLength, `Text is cut at ${config.websocket.maxMessageLength} characters`);
+
+    console.log('\n📤 Export...\n');
+    const history = new ConversationHistory();
+    turns.forEach(turn => history.turns.push(turn));
+    const session = { id: 'session-1', createdAt: 1700000000000, settings, history };
+
+    const json = exportTranscript(session);
+    const roundTrip = parseTranscript(JSON.parse(json.body));
+    check(json.contentType === 'application/json' && /\.json$/.test(json.filename), `JSON export -> ${json.filename}`);
+    check(roundTrip.turns.length === turns.length && roundTrip.turns[1].text === 'hey!', 'A JSON export imports again');
+
+    const markdown = exportTranscript(session, { format: 'markdown', timeZone: 'Europe/Paris' });
+    check(markdown.body.startsWith('# Conversation with Voice AI Friend'), 'Markdown export has a title');
+    check(markdown.body.includes('**AI Friend** ·') && markdown.body.includes('· cache'), 'Markdown export labels AI replies with their source');
+    check(markdown.body.includes('2023-11-14 23:13:20'), 'Markdown export shows times in the requested zone');
+
+    const text = exportTranscript(session, { format: 'text' });
+    check(text.body.includes('[2023-11-14 22:13:20] You: hi'), 'Text export has one line per message');
+    check(/\.txt$/.test(text.filename) && text.contentType === 'text/plain', `Text export -> ${text.filename}`);
+
+    let zoneError = null;
+    try {
+        exportTranscript(session, { format: 'text', timeZone: 'Mars/Olympus' });
+    } catch (error) {
+        zoneError = error;
+    }
+    check(zoneError instanceof RangeError, 'An unknown time zone throws RangeError');
+
+    console.log('\n📊 Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total checks: ${checks}`);
+    console.log(`Failures: ${failures}`);
+
+    if (failures > 0) {
+        console.error('\n❌ Transcript test failed\n');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Test complete!\n');
+}
+
+// Run tests
+testTranscript();
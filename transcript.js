@@ -0,0 +1,168 @@
+const config = require('./config');
+const personaRegistry = require('./persona-registry');
+
+/**
+ * Transcript - Session history as a downloadable JSON, Markdown or plain text file,
+ * and JSON exports read back in to continue a conversation in a new session
+ */
+
+const FORMAT_NAME = 'voice-ai-friend-transcript';
+const FORMAT_VERSION = 1;
+
+const FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    markdown: { contentType: 'text/markdown', extension: 'md' },
+    text: { contentType: 'text/plain', extension: 'txt' },
+};
+
+// Turn fields carried through export and import, with their JSON types
+const TURN_FIELDS = {
+    source: 'string',
+    latency: 'number',
+    emotion: 'string',
+    intensity: 'number',
+    language: 'string',
+    persona: 'string',
+};
+
+/**
+ * Render a session's history in one of FORMATS
+ * Markdown and text show times in timeZone (IANA name); throws RangeError for unknown zones
+ * Returns { body, contentType, filename }
+ */
+function exportTranscript(session, { format = 'json', timeZone = 'UTC' } = {}) {
+    const { contentType, extension } = FORMATS[format];
+    const formatTime = createTimeFormatter(timeZone);
+    const exportedAt = Date.now();
+
+    const turns = session.history.turns.map(turn => {
+        const exported = { role: turn.role, text: turn.text, timestamp: turn.timestamp };
+        Object.keys(TURN_FIELDS).forEach(field => {
+            if (turn[field] !== undefined) exported[field] = turn[field];
+        });
+        return exported;
+    });
+
+    let body;
+    if (format === 'json') {
+        body = JSON.stringify({
+            format: FORMAT_NAME,
+            version: FORMAT_VERSION,
+            sessionId: session.id,
+            createdAt: session.createdAt,
+            exportedAt,
+            settings: session.settings,
+            turns,
+        }, null, 2);
+    } else if (format === 'markdown') {
+        const lines = [
+            '# Conversation with Voice AI Friend',
+            '',
+            `Exported ${formatTime(exportedAt)} (${timeZone}) · ${turns.length} messages`,
+        ];
+        turns.forEach(turn => {
+            lines.push('', `**${speaker(turn)}** · ${[formatTime(turn.timestamp), ...replyDetails(turn)].join(' · ')}`, '');
+            lines.push(turn.text);
+        });
+        body = lines.join('\n') + '\n';
+    } else {
+        const lines = [`Conversation with Voice AI Friend, exported ${formatTime(exportedAt)} (${timeZone})`, ''];
+        turns.forEach(turn => {
+            const details = replyDetails(turn);
+            const label = details.length > 0 ? `${speaker(turn)} (${details.join(', ')})` : speaker(turn);
+            lines.push(`[${formatTime(turn.timestamp)}] ${label}: ${turn.text}`);
+        });
+        body = lines.join('\n') + '\n';
+    }
+
+    const date = new Date(exportedAt).toISOString().slice(0, 10);
+    return { body, contentType, filename: `voice-ai-friend-${date}.${extension}` };
+}
+
+/**
+ * Read a JSON export back into { settings, turns } for sessionStore.importSession
+ * Unknown fields are dropped and settings the server doesn't offer fall back to
+ * the defaults; throws TypeError with a client-facing message when it isn't an export
+ * Timestamps are clamped to 1970..now (a future one would outlive the session TTL and
+ * break time formatting) and text is cut at the user_message length limit
+ */
+function parseTranscript(data) {
+    if (!data || typeof data !== 'object' || data.format !== FORMAT_NAME) {
+        throw new TypeError('Not a Voice AI Friend JSON export');
+    }
+    if (data.version !== FORMAT_VERSION) {
+        throw new TypeError(`Unsupported export version ${data.version}`);
+    }
+    if (!Array.isArray(data.turns) || data.turns.length === 0) {
+        throw new TypeError('The export has no messages');
+    }
+
+    const now = Date.now();
+    const turns = data.turns.map((turn, i) => {
+        if (!turn || (turn.role !== 'user' && turn.role !== 'assistant') || typeof turn.text !== 'string' || !turn.text) {
+            throw new TypeError(`Message ${i + 1} needs a role (user or assistant) and text`);
+        }
+
+        const imported = {
+            role: turn.role,
+            text: turn.text.slice(0, config.websocket.maxMessageLength),
+            timestamp: Number.isFinite(turn.timestamp) ? Math.min(Math.max(turn.timestamp, 0), now) : now,
+        };
+        Object.keys(TURN_FIELDS).forEach(field => {
+            if (typeof turn[field] === TURN_FIELDS[field]) imported[field] = turn[field];
+        });
+        return imported;
+    });
+
+    const source = data.settings || {};
+    const settings = {};
+    if (source.voiceGender === 'female' || source.voiceGender === 'male') {
+        settings.voiceGender = source.voiceGender;
+    }
+    if (source.language === 'auto' || Object.prototype.hasOwnProperty.call(config.languages.supported, source.language)) {
+        settings.language = source.language;
+    }
+    if (typeof source.persona === 'string' && personaRegistry.has(source.persona)) {
+        settings.persona = source.persona;
+    }
+
+    return { settings, turns };
+}
+
+/**
+ * "2026-10-19 18:55:02" in a time zone
+ */
+function createTimeFormatter(timeZone) {
+    const format = new Intl.DateTimeFormat('sv-SE', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    });
+    return (timestamp) => format.format(new Date(timestamp));
+}
+
+function speaker(turn) {
+    return turn.role === 'user' ? 'You' : 'AI Friend';
+}
+
+/**
+ * Source and latency of an AI turn, e.g. ['cache', '5 ms']
+ */
+function replyDetails(turn) {
+    if (turn.role !== 'assistant') return [];
+
+    const details = [];
+    if (turn.source) details.push(turn.source);
+    if (typeof turn.latency === 'number') details.push(`${turn.latency} ms`);
+    return details;
+}
+
+module.exports = {
+    FORMATS,
+    exportTranscript,
+    parseTranscript,
+};